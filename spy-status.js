@@ -1,18 +1,100 @@
 /**
  * 桌面状态查询插件（多人版）
- * 调用 Web/server.js 的接口：/api/names、/api/current-status?name=xxx、/api/today-events?name=xxx
- * 指令与数据对应：时间雨核→雨核，时间音落→音落，时间夜合→夜合，时间皮梦→皮梦；时间开发团队→雨核+音落+夜合+皮梦。每人展示与皮梦一致：手机/电脑各一块，每块只展示一条最新。
- * 「看看xx今天做了什么」：拉取当日上传事件，按心跳间隔统计设备与应用使用时长。
+ * 调用 Web/server.js 的接口：/api/names、/api/current-status?name=xxx、/api/today-events?name=xxx；也可按人改用 ActivityWatch 或本地 JSONL 数据源
+ * 指令与数据对应：时间雨核→雨核，时间音落→音落，时间夜合→夜合，时间皮梦→皮梦；时间开发团队→雨核+音落+夜合+皮梦。每人按设备分块，每块只展示一条最新。
+ * 「xx在干嘛」「xx在干什么」「xx人呢」：同「时间xx」，可一次问多人，如「雨核和音落在干嘛」。
+ * 「看看xx今天做了什么」：拉取当日上传事件，按会话（相邻同应用事件合并）统计分类占比与设备、应用使用时长；可写多人，如「看看雨核和音落今天做了什么」。
+ * 「看看xx昨天做了什么」「看看xx 2026-10-12 做了什么」「看看xx这周做了什么」：按日期范围统计，周报含每日合计与本周应用排行。
+ * 「xx今天听了什么歌」「xx这周听了什么歌」（也可昨天 / YYYY-MM-DD）：按播放顺序列出曲目与估算收听时长，以及听歌总时长、最常听的曲目和播放器。
+ * 「xx今天在浏览器里干了什么」：电脑浏览器按页面标题归到网站（如 Bilibili、GitHub、YouTube），列出各网站时长与最常看的页面。
+ * 「xx昨晚几点睡的」「xx这周作息」：从事件历史推断每晚的入睡、起床时间与睡眠时长（当晚 18:00 至次日 14:00 间最长的无活动间隔），
+ *   周作息另给平均睡眠时长、平均入睡时间与最晚入睡。
+ * 「xx今天摸鱼指数」：今天娱乐类（游戏/视频/社交）时长占「娱乐 + 学习/工作」的比例，越高越摸鱼。
+ * 「xx今天的时间线」：按会话列出当天各设备的使用时间段，如 09:12–10:40 Visual Studio Code。
+ * 「对比xx和yy今天」「对比xx和yy昨天」「对比xx和yy这周」（也可 YYYY-MM-DD，可写多人）：并排对比总时长（手机 / 电脑）、各自常用应用、
+ *   共同使用的应用与「一起摸鱼的时段」（所有人同时在用设备的时间段）；范围按第一个人的时区划分，各人按自己的数据源拉取。
+ * 「导出xx今天数据」「导出xx这周数据 json」（也可昨天 / YYYY-MM-DD，仅主人）：导出范围内的原始事件（machine、window_title、app、access_time，
+ *   附统计用应用名、设备类型、噪音 / 熄屏标记）与按应用汇总的时长；默认 CSV（事件、应用汇总两个文件），加 json 为一个 JSON 文件，发到群文件或私聊。
+ * 「今日视奸排行」「今日视奸排行所有人」：团队（或服务端全部名单）今日总时长/手机/电脑/最长单次会话排行，以及团队今日最常用应用。
+ * 「spy状态诊断」（仅主人）：各数据源的连通性、延迟、熔断状态与每人最近一次成功拉取的时间。
+ * 「spy配置检查」（仅主人）：当前生效的人物、触发词、数据源与配置校验结果。
+ * 「开启隐身」「关闭隐身」：本人（persons[].qq 绑定的 QQ）自助隐身，隐身后任何查询、排行与订阅推送都不展示其数据。
+ * 每日日报（定时任务）：每天早上向 digestGroups 推送前一天 teamNames 成员的覆盖时长、各设备前 3 应用、最早/最晚活跃时间与熬夜冠军。
+ * 防沉迷提醒（定时任务）：某人今天某应用或某分类用时超过限额时在 limitGroups 提醒，每个限额每天在 1 倍、2 倍、3 倍……各提醒一次，措辞逐级加重。
+ * 「xx的限额」：查看各限额今天的进度。「设置xx限额 游戏 4小时」「设置xx限额 三角洲行动 90分钟」/「取消xx限额 游戏」（仅主人）：用指令设置的限额
+ *   存 redis，优先于配置文件中的同一项；名字为分类名时按分类计，否则按应用计。
+ * 「订阅xx」「订阅xx 关键词」/「取消订阅xx」：在本群（私聊则私聊）订阅某人状态变化：手机亮屏（醒了）、电脑重新上线、出现关键词。订阅存 redis，重启不丢。
+ * 以上指令中的 xx 均可用昵称（persons[].aliases），多人用 和 / 与 / 跟 / 、 / 逗号 / 空格 分隔；名字写错时会提示「你是不是想找」。
  *
- * 配置：
+ * 配置：config/config/spy-status.yaml，改动后自动重新加载（触发词、昵称等指令即时生效，定时任务的 cron 仍需重启）。
+ *   加载时会校验：人物缺 name 或重名、触发词 / 昵称冲突、apiBase 等地址无效、数据源类型未知、时区或 dayStartHour 无效、语言或模板键未知等会记错误日志，
+ *   并继续使用上次校验通过的配置，错误可用「spy配置检查」查看（运行中改出错误时还会私聊通知主人）；改回有效配置后错误随之清除。
  *   - SPY_API_BASE：雨核/音落/夜合 的 Web 服务端地址，默认 http://127.0.0.1:3100
  *   - SPY_PIMENG_API_BASE：皮梦数据源，与 视奸皮梦.js 的 API_URL 一致，默认 https://shijian.lyxmb.com
- *   - heartbeatIntervalSeconds：心跳间隔（秒），用于今日统计时长计算，默认 60
+ *   - timezone：时区（IANA 名称，如 Asia/Shanghai、America/Los_Angeles），默认 Asia/Shanghai；persons[].timezone 可按人覆盖。
+ *     所有日期范围（今天/昨天/这周/日期、排行、日报）、请求服务端的 start/end 与展示的时间都按此换算
+ *   - dayStartHour：一天从几点开始（0–23），默认 0；如 4 表示 04:00 到次日 04:00 算一天，熬夜到凌晨不会被拆成两天。persons[].dayStartHour 可按人覆盖
+ *   - heartbeatIntervalSeconds：心跳间隔（秒），会话最后一条事件按一个心跳计入时长，默认 60
+ *   - sessionGapSeconds：相邻事件间隔超过此值即断开会话（秒），默认 300
+ *   - weekTopApps：周报每台设备展示的应用数，默认 10
+ *   - rules：全局展示规则（见下），与内置默认规则合并，写在前面的优先；useDefaultRules: false 可停用内置默认规则
+ *   - persons[].source：数据源，type 为 server（默认，即上面的 Web/server.js，可写 apiBase，等同 persons[].apiBase）、
+ *     activitywatch（url 为 aw-server 地址，默认 http://127.0.0.1:5600；buckets 可指定窗口 bucket，默认取所有 currentwindow / os.current_window；
+ *     machines 可把 bucket id 映射为机器 ID，默认用 bucket 的 hostname；窗口事件按心跳展开，afk 期间不计）、
+ *     jsonl（path 为本地文件，每行一条 { machine, window_title, app, access_time }，可带 name 字段区分人，用于离线回放）
+ *   - persons[].aliases：昵称，如 ['核', 'yuhe']，英文不区分大小写
+ *   - persons[].rules：个人展示规则，优先于全局规则
+ *   - persons[].devices：设备登记 [{ machine, name, type, hidden }]，machine 为上报的机器 ID，name 为展示名（如 iQOO13），
+ *     type 为 phone / tablet / pc / laptop（手机、平板只展示应用），hidden: true 不展示。每台登记设备单独一块；
+ *     未登记的机器按机器名（phone|android|mobile|iq13|iqoo）归入「手机」或「PC」
+ *   - persons[].qq：本人 QQ（可写数组），用于「开启隐身」「关闭隐身」
+ *   - persons[].invisibleWindows：定时隐身时段（此人的时区），如 ['00:00-08:00']，可跨零点如 '23:00-07:00'；时段内上报的数据事后也不展示、不计入统计与导出
+ *   - persons[].summaryOnly：状态只展示应用分类（如「学习/工作」，不属于任何分类时展示应用名），不展示窗口标题与曲目
+ *   - locale：状态与「看看xx做了什么」报告的文字语言，zh-CN（默认）/ en；persons[].locale 可按人覆盖。其余指令与图片卡片仍为中文
+ *   - templates / persons[].templates：改写文字模板（键见 TEMPLATE_PACKS，如 phoneApp、pcApp、updated、reportAppLine），按人的优先，
+ *     未写的键沿用语言包；{name}、{device}、{app}、{title}、{song}、{time}、{freshness} 等为占位符，模板写空字符串则该行不输出。
+ *     皮梦的「♿️皮梦正在」「🎵皮梦正在听音乐」格式即一份内置个人模板，写 persons[].templates 可覆盖
+ *   - groupPolicies：按群限制可查看的人，如 { '123456': { allow: ['雨核', '皮梦'] } }；未配置的群不限制
+ *   - imageMode：图片输出（通过 Bot 的 puppeteer 渲染，模板写在 data/spy-status/html），默认关闭；true 全部开启，或按指令 { status, report }：
+ *     status 为状态查询（每人一张卡片：设备图标、当前应用、在听的歌与更新新鲜度），report 为「看看xx今天/昨天/日期做了什么」（每台设备的应用堆叠条
+ *     与 24 小时活跃度条，周报仍为文字）。groupPolicies[群号].imageMode 可按群覆盖，写法相同。渲染失败时退回文字
+ *   - cacheTtlSeconds：每人当前状态的缓存时长（秒，按人 + 数据源分别计时），默认 8
+ *   - staleWhileRevalidateSeconds：缓存过期后此时长内先返回旧数据并在后台刷新（秒），默认 60；0 关闭
+ *   - fetchConcurrency：团队/所有人查询时同时请求的人数上限，默认 4
+ *   - retryCount：网络错误或 5xx 时的重试次数（指数退避，首次间隔 retryBackoffMs 毫秒，默认 500），默认 2
+ *   - circuitFailureThreshold：同一数据源连续失败多少次后熔断，默认 3；circuitOpenSeconds：熔断时长（秒），默认 60
+ *     熔断期间直接失败不再请求；拉取当前状态失败时退回该人上次成功拉取的数据并注明「数据可能已过期」
+ *   - subscribeCron：订阅轮询的 cron（6 位，含秒），默认每分钟
+ *   - subscribeCooldownSeconds：同一订阅同类提醒的最短间隔（秒），防止设备来回切换刷屏，默认 600
+ *   - sleepMinGapHours：无活动超过多少小时才算睡觉，默认 3；熄屏类、噪音应用视为无活动
+ *   - limits / persons[].limits：限额 [{ app 或 category, hours 或 minutes, groups }]，limits 对 teamNames 所有人生效，个人的同一项优先；
+ *     limitGroups：提醒推送的群号列表（单项可用 groups 覆盖），为空不推送；limitCheckCron：检查的 cron（6 位，含秒），默认每 5 分钟
+ *   - digestCron：每日日报的 cron（6 位，含秒），默认每天 09:00；digestGroups：日报推送的群号列表，为空不推送
+ *   - digestTopApps：日报每台设备展示的应用数，默认 3。熬夜冠军按 22:00 至次日 06:00 间最晚的活跃时间评选
+ *   - categories：应用分类 [{ name, app / appContains / appRegex, kind, verb }]，条件写法同展示规则但任一命中即可，写在前面的优先，
+ *     与内置分类（游戏、学习/工作、社交、视频、音乐、浏览器）合并，都不命中归入「其他」；useDefaultCategories: false 可停用内置分类。
+ *     kind 为 fun（娱乐）/ work（正事），用于摸鱼指数；verb 为状态里展示的一句话，如「正在学习」
+ *   - sites：网站识别 [{ name, title / titleContains / titleRegex }]，按浏览器页面标题（已去掉浏览器名与 Edge 的「- 个人」等配置文件段）匹配，
+ *     任一命中即可，写在前面的优先，与内置网站合并，都不命中归入「其他网页」；useDefaultSites: false 可停用内置网站
+ *   - browsers：浏览器识别 { app / appContains / appRegex }（按统计用的应用名，写法同分类），与内置浏览器（Chrome、Edge、Firefox 等）合并；
+ *     useDefaultBrowsers: false 可停用内置。「在浏览器里干了什么」只统计这些应用，与「浏览器」分类是否改名或停用无关
+ *   - browserSitesOnly：「在浏览器里干了什么」只展示网站不展示页面标题（persons[].summaryOnly 的人也只展示网站）
+ * 展示规则：{ match: {...}, action: {...} }，match 中各条件同时满足才命中（至少写一个条件）：
+ *   app / appContains / appRegex：应用名精确 / 包含 / 正则（精确与包含可写数组，任一命中即可）
+ *   title / titleContains / titleRegex：窗口标题（window_title 或 app 字段任一）精确 / 包含 / 正则
+ *   device：phone / tablet / pc / laptop（phone 同时匹配平板，pc 同时匹配笔记本）
+ * action：rename 改名（展示与统计）、text 替换整行展示文案（{app} 为应用名）、hide 隐藏（不展示、不计入统计）、
+ *   screenOff 视为熄屏（配合 hide 显示「熄屏」，并参与「好像睡着了」判断）、caption 在该人消息末尾追加一句。
+ *   match 只写 device 且 hide 的规则表示整台设备不展示（如 音落/夜合 不展示电脑）。
+ * 日期范围统计优先请求 GET /api/events?name=xxx&start=ISO&end=ISO；服务端未实现（404）时退回 /api/today-events 并在本地按范围过滤。
+ * 测试：node --test test/（需 Node 20.6+，Yunzai 的 lib 由测试自带的空实现代替）。
  */
 
 import plugin from '../../lib/plugins/plugin.js'
 import common from '../../lib/common/common.js'
 import cfg from '../../lib/config/config.js'
+import puppeteer from '../../lib/puppeteer/puppeteer.js'
+import fs from 'node:fs'
 
 const CONFIG = {
   API_BASE: process.env.SPY_API_BASE || 'http://127.0.0.1:3100',
@@ -20,63 +102,1084 @@ const CONFIG = {
   TIMEOUT: 10000,
   PER_PERSON_LIMIT: 5,
   CACHE_EXPIRE_TIME: 8000,
+  STALE_WHILE_REVALIDATE_TIME: 60000,
+  FETCH_CONCURRENCY: 4,
+  RETRY_COUNT: 2,
+  RETRY_BACKOFF_MS: 500,
+  CIRCUIT_FAILURE_THRESHOLD: 3,
+  CIRCUIT_OPEN_TIME: 60000,
   HEARTBEAT_INTERVAL_SECONDS: 60,
+  SESSION_GAP_SECONDS: 300,
+  TIMELINE_MIN_SECONDS: 60,
+  WEEK_TOP_APPS: 10,
+  SONG_LIST_LIMIT: 100,
+  BROWSER_TOP_PAGES: 10,
+  COMPARE_TOP_APPS: 5,
+  COMPARE_TOGETHER_LIMIT: 20,
+  SUBSCRIBE_CRON: '0 * * * * *',
+  SUBSCRIBE_COOLDOWN_SECONDS: 600,
+  DIGEST_CRON: '0 0 9 * * *',
+  DIGEST_TOP_APPS: 3,
+  NIGHT_OWL_START_HOUR: 22,
+  NIGHT_OWL_END_HOUR: 6,
+  SLEEP_WINDOW_START_HOUR: 18,
+  SLEEP_WINDOW_END_HOUR: 14,
+  SLEEP_MIN_GAP_HOURS: 3,
+  LIMIT_CHECK_CRON: '0 */5 * * * *',
 }
 
-/** 从 config 加载 spy-status 配置（合并默认与用户配置） */
+const SUBSCRIPTIONS_REDIS_KEY = 'Yz:spy-status:subscriptions'
+const INVISIBLE_REDIS_KEY_PREFIX = 'Yz:spy-status:invisible:'
+/** 指令设置的限额：[{ name, target: { app } | { category }, minutes }] */
+const LIMITS_REDIS_KEY = 'Yz:spy-status:limits'
+/** 已提醒到第几倍：前缀 + 人:当天起点:限额项，2 天后过期 */
+const LIMIT_NOTIFIED_REDIS_KEY_PREFIX = 'Yz:spy-status:limit-notified:'
+
+/** 默认时区（IANA 名称） */
+const DEFAULT_TIMEZONE = 'Asia/Shanghai'
+const HOUR_MS = 60 * 60 * 1000
+const WEEKDAY_NAMES = ['周日', '周一', '周二', '周三', '周四', '周五', '周六']
+/** 时区 → Intl.DateTimeFormat（创建开销大，按时区复用）；非法时区记为 null */
+const tzFormatters = new Map()
+/** (时区, UTC 刻钟) → 偏移，见 getTimezoneOffsetMs；条目过多时整体清空 */
+const tzOffsets = new Map()
+const TZ_OFFSET_BUCKET_MS = 15 * 60 * 1000
+const TZ_OFFSET_CACHE_MAX = 10000
+
+function getTzFormatter(timeZone) {
+  if (!tzFormatters.has(timeZone)) {
+    try {
+      tzFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+      }))
+    } catch (e) {
+      logger.warn('[spy-status] 时区无效，改用默认时区', DEFAULT_TIMEZONE, ':', timeZone)
+      tzFormatters.set(timeZone, null)
+    }
+  }
+  return tzFormatters.get(timeZone)
+}
+
+/**
+ * 某时区在 ms 时刻相对 UTC 的偏移（毫秒，含夏令时）。各时区的偏移只在 UTC 整刻钟切换，
+ * 按 (时区, 刻钟) 缓存，逐条事件换算（隐身时段过滤等）时不必每次都 formatToParts
+ */
+function getTimezoneOffsetMs(timeZone, ms) {
+  const key = `${timeZone}|${Math.floor(ms / TZ_OFFSET_BUCKET_MS)}`
+  if (tzOffsets.has(key)) return tzOffsets.get(key)
+  const bucketMs = Math.floor(ms / TZ_OFFSET_BUCKET_MS) * TZ_OFFSET_BUCKET_MS
+  const fmt = getTzFormatter(timeZone) || getTzFormatter(DEFAULT_TIMEZONE)
+  const parts = Object.fromEntries(fmt.formatToParts(new Date(bucketMs)).map((x) => [x.type, Number(x.value)]))
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - bucketMs
+  if (tzOffsets.size >= TZ_OFFSET_CACHE_MAX) tzOffsets.clear()
+  tzOffsets.set(key, offset)
+  return offset
+}
+
+/** ms 时刻在该时区的墙上时间，用 getUTC* 读取 */
+function zonedDate(timeZone, ms) {
+  return new Date(ms + getTimezoneOffsetMs(timeZone, ms))
+}
+
+/** 该时区的墙上时间 → 时间戳（月从 0 起，日可溢出，如 d + 1 表示次日） */
+function zonedTimeToMs(timeZone, y, mo, d, h = 0, mi = 0) {
+  const wall = Date.UTC(y, mo, d, h, mi)
+  const guess = wall - getTimezoneOffsetMs(timeZone, wall)
+  return wall - getTimezoneOffsetMs(timeZone, guess)
+}
+
+/** 用户配置文件（cfg 读取的就是它）；监听其变化，改完即生效，不用重启 */
+const CONFIG_FILE = './config/config/spy-status.yaml'
+const CONFIG_WATCH_INTERVAL_MS = 2000
+/** 文件变化后稍等再读，让 cfg 先清掉它自己的缓存 */
+const CONFIG_RELOAD_DELAY_MS = 1000
+/**
+ * 配置状态：active 为正在使用的配置，json 为其序列化结果（用于判断配置是否有变化），loadedAt 为生效时间，
+ * activeErrors 为 active 自身的错误（仅启动时没有可回退的配置、带错启用时非空）；
+ * rejectedJson / errors 为最近一次未通过校验的配置与原因，通过或改回 active 后恢复
+ */
+const configState = { active: null, json: '', activeErrors: [], rejectedJson: '', errors: [], loadedAt: 0 }
+/** 所有实例共用的 rule 数组：配置变化时原地更新，loader 持有的同一数组随之生效 */
+const sharedRules = []
+let configWatching = false
+
+/**
+ * 从 config 加载 spy-status 配置（合并默认与用户配置）。配置有变化时先校验：通过则启用并原地更新指令规则；
+ * 不通过则记日志并继续使用上次的有效配置（启动时还没有有效配置则照常启用，错误可用「spy配置检查」查看）
+ */
 function loadSpyStatusConfig() {
+  let merged
   try {
-    const def = cfg.getdefSet('spy-status') || {}
-    const user = cfg.getConfig('spy-status') || {}
-    return { ...def, ...user }
+    merged = { ...(cfg.getdefSet('spy-status') || {}), ...(cfg.getConfig('spy-status') || {}) }
   } catch (e) {
-    return cfg.getdefSet('spy-status') || {}
+    const err = `读取配置失败：${e && e.message}`
+    if (configState.errors[0] !== err) logger.error('[spy-status]', err, configState.active ? '，继续使用上次的有效配置' : '')
+    configState.errors = [err]
+    return configState.active || {}
+  }
+  const json = JSON.stringify(merged)
+  if (json === configState.json) {
+    // 改回了正在使用的配置（或读取失败后恢复）：之前的错误已不适用
+    configState.rejectedJson = ''
+    configState.errors = configState.activeErrors
+    return configState.active
+  }
+  if (json === configState.rejectedJson && configState.active) return configState.active
+  const errors = validateSpyStatusConfig(merged)
+  configState.errors = errors
+  configState.rejectedJson = errors.length ? json : ''
+  if (errors.length) {
+    for (const err of errors) logger.error('[spy-status] 配置错误:', err)
+    if (configState.active) {
+      logger.error('[spy-status] 配置未通过校验，继续使用上次的有效配置')
+      notifyMasters(['[spy-status] 配置修改未通过校验，仍在使用上次的有效配置：', ...errors.map((err) => `- ${err}`)].join('\n'))
+      return configState.active
+    }
+  }
+  const reloaded = !!configState.active
+  Object.assign(configState, { active: merged, json, activeErrors: errors, loadedAt: Date.now() })
+  sharedRules.splice(0, sharedRules.length, ...buildRules(merged))
+  if (reloaded) logger.mark('[spy-status] 配置已重新加载')
+  return merged
+}
+
+/** 私聊通知各主人（cfg.masterQQ，跳过非 QQ 号的账号），发送失败只记日志 */
+async function notifyMasters(msg) {
+  for (const qq of [].concat(cfg.masterQQ || [])) {
+    if (!/^\d+$/.test(String(qq))) continue
+    try {
+      await Bot.pickFriend(Number(qq)).sendMsg(msg)
+    } catch (e) {
+      logger.warn('[spy-status] 通知主人失败:', qq, e && e.message)
+    }
+  }
+}
+
+/** 监听用户配置文件，变化后重新加载（只启动一次） */
+function watchConfigFile() {
+  if (configWatching) return
+  configWatching = true
+  fs.watchFile(CONFIG_FILE, { interval: CONFIG_WATCH_INTERVAL_MS }, (cur, prev) => {
+    if (cur.mtimeMs !== prev.mtimeMs) setTimeout(loadSpyStatusConfig, CONFIG_RELOAD_DELAY_MS)
+  }).unref()
+}
+
+/**
+ * 校验配置，返回错误说明（空数组为通过）。只查会让指令失效或请求出错的问题：
+ * 人物缺名字 / 重名、触发词或昵称冲突、数据源类型与地址、隐身时段格式、时区与 dayStartHour、语言与模板键、规则 / 分类 / 网站中的正则；展示规则、分类等在编译时另有告警
+ */
+function validateSpyStatusConfig(c) {
+  const errors = []
+  const isHttpUrl = (s) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(String(s)).protocol)
+    } catch (e) {
+      return false
+    }
+  }
+  const checkTime = (where, obj) => {
+    if (obj.timezone != null) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: String(obj.timezone) })
+      } catch (e) {
+        errors.push(`${where}timezone「${obj.timezone}」不是有效的时区（IANA 名称，如 Asia/Shanghai）`)
+      }
+    }
+    const h = obj.dayStartHour
+    if (h != null && !(Number.isInteger(Number(h)) && Number(h) >= 0 && Number(h) <= 23)) errors.push(`${where}dayStartHour「${h}」须为 0–23 的整数`)
+  }
+  const checkTemplates = (where, obj) => {
+    if (obj.locale != null && !TEMPLATE_PACKS[obj.locale]) errors.push(`${where}locale「${obj.locale}」未知，可选 ${Object.keys(TEMPLATE_PACKS).join(' / ')}`)
+    if (obj.templates == null) return
+    if (typeof obj.templates !== 'object' || Array.isArray(obj.templates)) return errors.push(`${where}templates 须为对象`)
+    const pack = TEMPLATE_PACKS[DEFAULT_LOCALE]
+    for (const [key, value] of Object.entries(obj.templates)) {
+      if (!(key in pack)) errors.push(`${where}templates.${key} 不是已知的模板键`)
+      else if (typeof pack[key] === 'string' && typeof value !== 'string') errors.push(`${where}templates.${key} 须为字符串`)
+      else if (typeof pack[key] === 'object' && (!value || typeof value !== 'object')) errors.push(`${where}templates.${key} 须为${Array.isArray(pack[key]) ? '数组' : '对象'}`)
+    }
+  }
+  const checkRegex = (where, key, value) => {
+    if (value == null) return
+    try {
+      new RegExp(value)
+    } catch (e) {
+      errors.push(`${where}${key}「${value}」不是有效的正则`)
+    }
+  }
+  // 展示规则的 match、分类 / 网站条目中的正则：非法时整条会被丢弃，这里提前报出来
+  const checkRegexList = (where, key, list, path = '') => {
+    if (list == null) return
+    if (!Array.isArray(list)) return errors.push(`${where}${key} 须为数组`)
+    list.forEach((item, i) => {
+      const cond = (path ? item && item[path] : item) || {}
+      for (const k of ['appRegex', 'titleRegex']) checkRegex(where, `${key}[${i}]${path ? `.${path}` : ''}.${k}`, cond[k])
+    })
+  }
+  const checkUrl = (where, key, value) => {
+    if (value != null && !isHttpUrl(value)) errors.push(`${where}${key}「${value}」不是有效的 http(s) 地址`)
+  }
+  const teamTrigger = c.teamTrigger || '时间开发团队'
+  if (typeof teamTrigger !== 'string') errors.push('teamTrigger 须为字符串')
+  // 触发词 → 出处；名字 / 昵称（小写）→ 所属的人
+  const triggers = new Map([[String(teamTrigger), 'teamTrigger'], ['时间所有人', '内置指令「时间所有人」']])
+  const owners = new Map()
+  if (c.persons != null && !Array.isArray(c.persons)) errors.push('persons 须为数组')
+  const persons = (Array.isArray(c.persons) ? c.persons : []).map((p, i) => ({ p, i }))
+  for (const { p, i } of persons) {
+    if (!p || typeof p !== 'object') errors.push(`persons[${i}] 须为对象`)
+    else if (typeof p.name !== 'string' || !p.name.trim()) errors.push(`persons[${i}] 缺少 name`)
+    else if (owners.has(p.name.trim().toLowerCase())) errors.push(`persons[${i}] 的名字「${p.name}」与前面的人重复`)
+    else owners.set(p.name.trim().toLowerCase(), p.name.trim())
+  }
+  for (const { p, i } of persons) {
+    if (!p || typeof p !== 'object' || typeof p.name !== 'string' || !p.name.trim()) continue
+    const name = p.name.trim()
+    const who = `persons[${i}]（${name}）`
+    const where = `${who}的 `
+    if (p.trigger != null) {
+      if (typeof p.trigger !== 'string' || !p.trigger.trim()) errors.push(`${where}trigger 须为非空字符串`)
+      else if (triggers.has(p.trigger)) errors.push(`${who}的触发词「${p.trigger}」与 ${triggers.get(p.trigger)} 重复`)
+      else triggers.set(p.trigger, who)
+    }
+    if (p.aliases != null && !Array.isArray(p.aliases)) errors.push(`${where}aliases 须为数组`)
+    for (const alias of Array.isArray(p.aliases) ? p.aliases : []) {
+      const key = String(alias == null ? '' : alias).trim().toLowerCase()
+      if (!key) errors.push(`${where}aliases 中有空昵称`)
+      else if (owners.has(key) && owners.get(key) !== name) errors.push(`${who}的昵称「${alias}」已是 ${owners.get(key)} 的名字或昵称`)
+      else owners.set(key, name)
+    }
+    checkUrl(where, 'apiBase', p.apiBase)
+    if (p.source != null) {
+      const type = (p.source && p.source.type) || 'server'
+      if (typeof p.source !== 'object') errors.push(`${where}source 须为对象`)
+      else if (!SOURCE_ADAPTERS[type]) errors.push(`${where}source.type「${type}」未知，可选 ${Object.keys(SOURCE_ADAPTERS).join(' / ')}`)
+      else if (type === 'server') checkUrl(where, 'source.apiBase', p.source.apiBase)
+      else if (type === 'activitywatch') checkUrl(where, 'source.url', p.source.url)
+      else if (type === 'jsonl' && !p.source.path) errors.push(`${where}source.path 未填写（jsonl 数据源的本地文件）`)
+    }
+    if (p.devices != null && !Array.isArray(p.devices)) errors.push(`${where}devices 须为数组`)
+    ;(Array.isArray(p.devices) ? p.devices : []).forEach((d, j) => {
+      if (!d || !d.machine) errors.push(`${where}devices[${j}] 缺少 machine`)
+      else if (d.type != null && !DEVICE_TYPES[d.type]) errors.push(`${where}devices[${j}] 的 type「${d.type}」未知，可选 ${Object.keys(DEVICE_TYPES).join(' / ')}`)
+    })
+    if (p.invisibleWindows != null) {
+      for (const w of [].concat(p.invisibleWindows)) {
+        if (!INVISIBLE_WINDOW_RE.test(String(w))) errors.push(`${where}invisibleWindows「${w}」格式不对，应为 HH:MM-HH:MM，如 '23:00-07:00'`)
+      }
+    }
+    checkTime(where, p)
+    checkTemplates(where, p)
+    checkRegexList(where, 'rules', p.rules, 'match')
+  }
+  checkTime('', c)
+  checkTemplates('', c)
+  checkRegexList('', 'rules', c.rules, 'match')
+  checkRegexList('', 'categories', c.categories)
+  checkRegexList('', 'sites', c.sites)
+  for (const key of ['teamNames', 'digestGroups', 'limitGroups']) {
+    if (c[key] != null && !Array.isArray(c[key])) errors.push(`${key} 须为数组`)
+  }
+  if (c.browsers != null) {
+    if (typeof c.browsers !== 'object' || Array.isArray(c.browsers)) errors.push('browsers 须为对象，如 { app: [\'Arc\'], appContains: [\'Browser\'] }')
+    else if (!BROWSER_MATCH_KEYS.some((k) => c.browsers[k] != null)) errors.push(`browsers 至少要写 ${BROWSER_MATCH_KEYS.join(' / ')} 之一`)
+    else checkRegex('', 'browsers.appRegex', c.browsers.appRegex)
   }
+  return errors
 }
-/** 皮梦设备 ID，与 视奸皮梦.js 一致 */
-const PIMENG_PHONE_MACHINE = 'pimeng-iq13'
-const PIMENG_PC_MACHINE = 'pimeng-pc'
-/** 手机不输出到消息的应用（系统/输入法等） */
-const NOISE_APPS = ['生物识别', '系统 UI', 'Android 系统', '系统界面', '系统桌面', '搜狗输入法小米版', '指纹UI', 'One UI 主屏幕','安全服务']
-/** 仅当数据只有这些时显示「熄屏」 */
+
+/** 触发词列表：各人的 trigger、团队触发词与「时间所有人」（规则与 query 共用） */
+function getTriggers(spyCfg) {
+  const persons = Array.isArray(spyCfg.persons) ? spyCfg.persons : []
+  return [...persons.map((p) => (p && p.trigger) || '').filter(Boolean), spyCfg.teamTrigger || '时间开发团队', '时间所有人']
+}
+
+/** 按配置生成插件的指令规则（触发词、昵称会写进正则，配置变化时重新生成） */
+function buildRules(spyCfg) {
+  // 触发词精确匹配；「xx在干嘛」类说法与「看看xx…做了什么」交给 parseNames 解析名字（昵称、多人、近似名提示）
+  const reg = new RegExp(`^(?:${getTriggers(spyCfg).map(escapeRegExp).join('|')})\\s*$|${STATUS_PHRASE_RE.source}`)
+  const aliasAlt = buildNameIndex(spyCfg).map(([alias]) => escapeRegExp(alias)).join('|')
+  const regToday = TODAY_PHRASE_RE
+  const regTimeline = aliasAlt ? new RegExp(`^(${aliasAlt})今天的时间线\\s*$`, 'i') : /^$/
+  const regSongs = aliasAlt ? new RegExp(`^(${aliasAlt})\\s*(今天|昨天|这周|本周|\\d{4}-\\d{1,2}-\\d{1,2})\\s*听了(什么|哪些)歌\\s*$`, 'i') : /^$/
+  const regBrowser = aliasAlt ? new RegExp(`^(${aliasAlt})今天在浏览器里干了(什么|啥)\\s*$`, 'i') : /^$/
+  const regSleep = aliasAlt ? new RegExp(`^(${aliasAlt})(昨晚(几点|什么时候)睡的?|(这周|本周)的?作息)\\s*[?？]*$`, 'i') : /^$/
+  const regLimits = aliasAlt ? new RegExp(`^(${aliasAlt})的限额\\s*$`, 'i') : /^$/
+  const regSetLimit = aliasAlt ? new RegExp(`^(设置|取消)(${aliasAlt})的?限额\\s+\\S`, 'i') : /^$/
+  const regExport = aliasAlt ? new RegExp(`^导出(${aliasAlt})\\s*(今天|昨天|这周|本周|\\d{4}-\\d{1,2}-\\d{1,2})的?数据\\s*(csv|json)?\\s*$`, 'i') : /^$/
+  const regSlack = aliasAlt ? new RegExp(`^(${aliasAlt})今天的?摸鱼指数\\s*$`, 'i') : /^$/
+  const regRank = /^今日视奸排行(所有人)?\s*$/
+  const regInvisible = /^(开启|关闭)隐身\s*$/
+  const regDiagnose = /^spy状态诊断\s*$/i
+  const regConfigCheck = /^spy配置检查\s*$/i
+  const regSubscribe = aliasAlt ? new RegExp(`^(取消)?订阅(${aliasAlt})(\\s+.+)?$`, 'i') : /^$/
+  return [
+    { reg, fnc: 'query' },
+    { reg: regToday, fnc: 'queryToday' },
+    { reg: regTimeline, fnc: 'queryTimeline' },
+    { reg: regSlack, fnc: 'querySlackIndex' },
+    { reg: regSongs, fnc: 'querySongs' },
+    { reg: regBrowser, fnc: 'queryBrowser' },
+    { reg: regSleep, fnc: 'querySleep' },
+    { reg: regLimits, fnc: 'queryLimits' },
+    { reg: regSetLimit, fnc: 'manageLimit', permission: 'master' },
+    { reg: regExport, fnc: 'exportData', permission: 'master' },
+    { reg: regRank, fnc: 'queryRank' },
+    { reg: COMPARE_PHRASE_RE, fnc: 'queryCompare' },
+    { reg: regSubscribe, fnc: 'subscribe' },
+    { reg: regInvisible, fnc: 'toggleInvisible' },
+    { reg: regDiagnose, fnc: 'diagnose', permission: 'master' },
+    { reg: regConfigCheck, fnc: 'checkConfig', permission: 'master' },
+  ]
+}
+
+/** 转义正则元字符（触发词、名字拼进正则时使用） */
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/** 名字与昵称索引：[[昵称（小写）, 名字]]，按昵称长度倒序，便于最长匹配 */
+function buildNameIndex(spyCfg) {
+  const persons = Array.isArray(spyCfg.persons) ? spyCfg.persons : []
+  const index = new Map()
+  const add = (alias, name) => {
+    const key = String(alias || '').trim().toLowerCase()
+    if (key && !index.has(key)) index.set(key, name)
+  }
+  for (const p of persons) if (p && p.name) add(p.name, p.name)
+  for (const n of Array.isArray(spyCfg.teamNames) ? spyCfg.teamNames : []) add(n, n)
+  for (const p of persons) {
+    if (p && p.name) for (const a of Array.isArray(p.aliases) ? p.aliases : []) add(a, p.name)
+  }
+  return [...index].sort((a, b) => b[0].length - a[0].length)
+}
+
+/** 编辑距离（Levenshtein），用于「你是不是想找」 */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    prev = cur
+  }
+  return prev[b.length]
+}
+
+const NAME_SEPARATOR_RE = /^(?:和|与|跟|、|,|，|&|\s)+/
+const STATUS_PHRASE_RE = /^(?:看看)?(.+?)\s*(?:在干嘛|在干什么|在做什么|人呢)\s*[?？!！。~～]*$/
+const TODAY_PHRASE_RE = /^看看(.+?)\s*(今天|昨天|这周|本周|\d{4}-\d{1,2}-\d{1,2})\s*做了什么\s*$/
+const COMPARE_PHRASE_RE = /^对比(.+?)\s*(今天|昨天|这周|本周|\d{4}-\d{1,2}-\d{1,2})\s*$/
+
+/** 设备类型与展示名；phone/tablet 按移动端展示（只展示应用），pc/laptop 按电脑展示（含窗口标题） */
+const DEVICE_TYPES = { phone: '手机', tablet: '平板', pc: '电脑', laptop: '笔记本' }
+/** 内置设备登记，皮梦设备 ID 与 视奸皮梦.js 一致 */
+const DEFAULT_PERSON_DEVICES = {
+  皮梦: [{ machine: 'pimeng-iq13', name: 'iQOO13', type: 'phone' }, { machine: 'pimeng-pc', name: 'PC', type: 'pc' }],
+}
+/** 手机熄屏时出现的系统应用 */
 const SCREEN_OFF_APPS = ['生物识别', '系统 UI', 'Android 系统', '系统桌面', '指纹UI', 'One UI 主屏幕']
 /** 电脑数据超过此时长未更新视为无活动（用于「好像睡着了」判断），毫秒 */
 const PC_STALE_MS = 4 * 60 * 60 * 1000
-/** 雨核手机出现此关键词时显示「在推制霸呢」（包含匹配） */
-const RAINCORE_ZHIBA_KEYWORD = '范式：起源'
-/** 不展示电脑状态的人员（即便服务端有 PC 事件也直接忽略，确保消息不出现） */
-const HIDE_PC_NAMES = ['音落', '夜合']
+/** 内置全局展示规则：熄屏类与系统/输入法等噪音应用不展示、不计入统计 */
+const DEFAULT_RULES = [
+  { match: { app: SCREEN_OFF_APPS }, action: { hide: true, screenOff: true } },
+  { match: { app: ['系统界面', '搜狗输入法小米版', '安全服务'] }, action: { hide: true } },
+  { match: { app: '游戏助推器', device: 'phone' }, action: { text: '在打游戏，但是采集不到在打什么神秘游戏' } },
+]
+/** 内置个人展示规则 */
+const DEFAULT_PERSON_RULES = {
+  雨核: [{ match: { titleContains: '范式：起源', device: 'phone' }, action: { caption: '雨核在推制霸呢...不要打扰他' } }],
+  音落: [{ match: { device: 'pc' }, action: { hide: true } }],
+  夜合: [{ match: { device: 'pc' }, action: { hide: true } }],
+  皮梦: [
+    { match: { app: '三角洲行动', device: 'phone' }, action: { text: '得吃' } },
+    { match: { app: ['交互池', '系统桌面', '系统界面组件'], device: 'phone' }, action: { text: '神秘应用（采集不准确）「{app}」' } },
+    { match: { app: '游戏魔盒', device: 'phone' }, action: { text: '在打游戏，但是采集不到在打什么神秘游戏' } },
+    { match: { app: 'PiliPlus', device: 'phone' }, action: { text: '哔哩哔哩（第三方客户端）' } },
+  ],
+}
+/**
+ * 文字输出模板（按语言），{xxx} 为占位符，模板为空字符串时该行不输出。状态块可用 {name} 人名、{device} 设备名、
+ * {deviceType} 设备类型、{app} 应用、{title} 窗口标题、{song} 曲目、{text} 规则文案、{category} 应用分类、{verb} 分类状态、{time} 更新时间、
+ * {freshness} 距上次上报多久；报告行见各键。deviceTypes / fallbackDevices / weekdays / verbs / categories 为词表而非模板
+ */
+const TEMPLATE_PACKS = {
+  'zh-CN': {
+    personHeader: '【{name}】',
+    noRecord: '【{name}】\n  暂无记录',
+    asleep: '【{name}】\n  {name}好像睡着了呢',
+    stale: '⚠️数据可能已过期（{minutes}分钟前）',
+    deviceHeader: '====== {deviceType}状态 ======',
+    deviceFrom: '来自：{name} の {device}',
+    noData: '  暂无数据',
+    screenOff: '  熄屏',
+    phonePrefix: '',
+    phoneMusicPrefix: '',
+    phoneApp: '▶应用：{app}',
+    phoneText: '{text}',
+    phoneMusic: '🎵正在听：{song}\n▶应用：{app}',
+    phoneMusicSummary: '▶应用：{app}',
+    pcHeader: '💻{name}的{deviceType}正在运行：',
+    pcApp: '▶应用：{app}\n▶窗口标题：{title}',
+    pcAppSummary: '▶应用：{app}',
+    categorySummary: '▶分类：{category}',
+    pcText: '{text}',
+    pcMusic: '🎵正在听：{song}\n▶应用：{app}',
+    pcMusicSummary: '▶应用：{app}',
+    verb: '▶{verb}',
+    updated: '更新时间：{time}',
+    reportHeader: '{name}{label}有{percent}%的时间都被我视奸到了呢 这是他的设备的使用情况',
+    reportHeaderWeek: '{name}{label}有{percent}%的时间都被我视奸到了呢 这是他的设备这周的使用情况',
+    reportTitle: '{name}{label}使用情况',
+    reportNoData: '{name}{label}还没有上传过数据呢，视奸不到哦',
+    reportNotYet: '{label}还没到呢，视奸不到哦',
+    reportBadDate: '日期「{date}」不对哦，格式为 YYYY-MM-DD',
+    reportFetchFailed: '获取{name}{label}的数据失败（请确认服务端已实现 /api/events 或 /api/today-events 且可访问）：{error}',
+    fetchFailed: '获取{name}{label}的数据失败：{error}',
+    reportTodayOnly: '服务端只支持查询今天的数据（未实现 /api/events），查不到{name}{label}的记录',
+    reportDevice: '▶{device}',
+    reportDeviceWeek: '▶{device}（本周前{count}）',
+    reportDeviceEmpty: '▶{device}\n  暂无数据',
+    reportAppLine: '{rank}.{app} 用了{duration} 占比{percent}%',
+    reportDaily: '▶每日合计',
+    reportDayLine: '{day}：{devices} 共{duration}',
+    reportDayDevice: '{device}{duration}',
+    reportCategories: '▶分类占比',
+    rangeToday: '今天截止目前',
+    rangeYesterday: '昨天',
+    rangeWeek: '这周截止目前',
+    rangeDate: '{date}这天',
+    rangeTitleToday: '今天',
+    rangeTitleWeek: '本周',
+    durationHM: '{h}小时{m}分钟',
+    durationH: '{h}小时',
+    durationM: '{m}分钟',
+    durationShort: '不足1分钟',
+    freshNow: '刚刚',
+    freshMinutes: '{n}分钟前',
+    freshHours: '{n}小时前',
+    freshDays: '{n}天前',
+    deviceTypes: DEVICE_TYPES,
+    fallbackDevices: { phone: '手机', pc: 'PC' },
+    weekdays: WEEKDAY_NAMES,
+    verbs: {},
+    categories: {},
+  },
+  en: {
+    personHeader: '【{name}】',
+    noRecord: '【{name}】\n  No records yet',
+    asleep: '【{name}】\n  {name} seems to be asleep',
+    stale: '⚠️Data may be out of date ({minutes} min ago)',
+    deviceHeader: '====== {deviceType} ======',
+    deviceFrom: "From: {name}'s {device}",
+    noData: '  No data',
+    screenOff: '  Screen off',
+    phonePrefix: '',
+    phoneMusicPrefix: '',
+    phoneApp: '▶App: {app}',
+    phoneText: '{text}',
+    phoneMusic: '🎵Listening to: {song}\n▶App: {app}',
+    phoneMusicSummary: '▶App: {app}',
+    pcHeader: "💻{name}'s {deviceType} is running:",
+    pcApp: '▶App: {app}\n▶Window: {title}',
+    pcAppSummary: '▶App: {app}',
+    categorySummary: '▶Category: {category}',
+    pcText: '{text}',
+    pcMusic: '🎵Listening to: {song}\n▶App: {app}',
+    pcMusicSummary: '▶App: {app}',
+    verb: '▶{verb}',
+    updated: 'Updated: {time}',
+    reportHeader: "I caught {percent}% of {name}'s time {label}. Here is how their devices were used",
+    reportHeaderWeek: "I caught {percent}% of {name}'s time {label}. Here is how their devices were used this week",
+    reportTitle: "{name}'s usage {label}",
+    reportNoData: "{name} hasn't uploaded anything {label}, nothing to spy on",
+    reportNotYet: "Can't spy {label} yet, that day hasn't come",
+    reportBadDate: 'The date "{date}" is invalid, use YYYY-MM-DD',
+    reportFetchFailed: "Couldn't fetch {name}'s data {label} (check that the server implements /api/events or /api/today-events and is reachable): {error}",
+    fetchFailed: "Couldn't fetch {name}'s data {label}: {error}",
+    reportTodayOnly: "The server only serves today's data (no /api/events), so there are no records for {name} {label}",
+    reportDevice: '▶{device}',
+    reportDeviceWeek: '▶{device} (top {count} this week)',
+    reportDeviceEmpty: '▶{device}\n  No data',
+    reportAppLine: '{rank}. {app}: {duration} ({percent}%)',
+    reportDaily: '▶Daily totals',
+    reportDayLine: '{day}: {devices}, {duration} in total',
+    reportDayDevice: '{device} {duration}',
+    reportCategories: '▶By category',
+    rangeToday: 'today so far',
+    rangeYesterday: 'yesterday',
+    rangeWeek: 'this week so far',
+    rangeDate: 'on {date}',
+    rangeTitleToday: 'today',
+    rangeTitleWeek: 'this week',
+    durationHM: '{h}h {m}m',
+    durationH: '{h}h',
+    durationM: '{m}m',
+    durationShort: '<1m',
+    freshNow: 'just now',
+    freshMinutes: '{n} min ago',
+    freshHours: '{n} h ago',
+    freshDays: '{n} d ago',
+    deviceTypes: { phone: 'Phone', tablet: 'Tablet', pc: 'PC', laptop: 'Laptop' },
+    fallbackDevices: { phone: 'Phone', pc: 'PC' },
+    weekdays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    verbs: { 正在玩游戏: 'Gaming', 正在学习: 'Studying', 正在聊天: 'Chatting', 正在看视频: 'Watching videos', 正在听歌: 'Listening to music', 正在上网: 'Browsing' },
+    categories: { 游戏: 'Games', '学习/工作': 'Study/Work', 社交: 'Social', 视频: 'Video', 音乐: 'Music', 浏览器: 'Browser', 其他: 'Other' },
+  },
+}
+const DEFAULT_LOCALE = 'zh-CN'
+/** 内置个人模板（按语言）：皮梦的展示格式与 视奸皮梦.js 一致 */
+const DEFAULT_PERSON_TEMPLATES = {
+  皮梦: {
+    'zh-CN': {
+      personHeader: '',
+      verb: '',
+      phonePrefix: '♿️{name}正在',
+      phoneMusicPrefix: '🎵{name}正在听音乐：',
+      phoneMusic: '▶曲目：{song}\n▶用{app}听的',
+      phoneMusicSummary: '▶用{app}听的',
+    },
+  },
+}
+
+/** 模板填充：{key} 换成 vars[key]，vars 中没有的占位符原样保留 */
+function fillTemplate(tpl, vars) {
+  return String(tpl == null ? '' : tpl).replace(/\{(\w+)\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : m))
+}
+
+/** 内置浏览器识别（按统计用的应用名）：「在浏览器里干了什么」只统计这些应用，内置「浏览器」分类也用它 */
+const DEFAULT_BROWSERS = { app: ['Google Chrome', 'Chrome', 'Microsoft Edge', 'Edge', 'Firefox', 'Safari', '夸克', 'Via'], appContains: ['Chrome', 'Edge', 'Firefox'] }
+const BROWSER_MATCH_KEYS = ['app', 'appContains', 'appRegex']
+const browserListCache = new WeakMap()
+/** 内置应用分类（按统计用的应用名匹配），kind：fun 娱乐 / work 正事，verb：状态展示 */
+const DEFAULT_CATEGORIES = [
+  { name: '游戏', kind: 'fun', verb: '正在玩游戏', app: ['Steam', '三角洲行动', '原神', '崩坏：星穹铁道', '王者荣耀', '和平精英', '英雄联盟', '游戏助推器', '游戏魔盒'], appContains: ['Minecraft', 'Genshin', 'Wallpaper Engine'] },
+  { name: '学习/工作', kind: 'work', verb: '正在学习', app: ['Visual Studio Code', 'VS Code', 'Code', 'Cursor', 'Visual Studio', 'Word', 'Excel', 'PowerPoint', 'WPS Office', 'Notion', 'Obsidian', 'Typora', 'Windows Terminal', 'PowerShell', '终端', '钉钉', '飞书', '腾讯会议'], appContains: ['IntelliJ', 'PyCharm', 'WebStorm', 'CLion', 'Android Studio', 'Xcode', 'MATLAB'] },
+  { name: '社交', kind: 'fun', verb: '正在聊天', app: ['QQ', 'TIM', '微信', 'Telegram', 'Discord', '微博', '小红书', 'QQ空间'] },
+  { name: '视频', kind: 'fun', verb: '正在看视频', app: ['哔哩哔哩', 'bilibili', 'PiliPlus', '抖音', '快手', 'YouTube', '腾讯视频', '爱奇艺', '优酷', '芒果TV', 'Netflix', 'PotPlayer', 'VLC media player'] },
+  { name: '音乐', verb: '正在听歌', app: ['网易云音乐', 'QQ音乐', '酷狗音乐', '酷我音乐', 'Spotify', 'foobar2000', 'Apple Music'] },
+  { name: '浏览器', verb: '正在上网', ...DEFAULT_BROWSERS },
+]
+const OTHER_CATEGORY = { name: '其他', kind: null, verb: null }
+const DEFAULT_BROWSER_LIST = [{ name: 'browsers', ...DEFAULT_BROWSERS }]
+/** 内置网站识别（按浏览器页面标题匹配） */
+const DEFAULT_SITES = [
+  { name: 'Bilibili', titleContains: ['_哔哩哔哩_bilibili', '哔哩哔哩 (゜-゜)つロ'] },
+  { name: 'GitHub', titleContains: '· GitHub', titleRegex: '^GitHub$' },
+  { name: 'YouTube', titleContains: '- YouTube', title: 'YouTube' },
+  { name: '知乎', titleContains: '- 知乎' },
+  { name: '百度', titleContains: ['_百度搜索', '百度一下，你就知道'] },
+  { name: 'Google', titleContains: ['- Google 搜索', '- Google Search'] },
+  { name: 'Stack Overflow', titleContains: '- Stack Overflow' },
+  { name: 'CSDN', titleContains: 'CSDN博客' },
+  { name: '掘金', titleContains: '- 掘金' },
+  { name: '微博', titleContains: '_微博' },
+]
+const OTHER_SITE = '其他网页'
+/** Edge 等浏览器在标题末尾附加的配置文件段 */
+const BROWSER_PROFILE_SEGMENTS = ['个人', '工作', 'Personal', 'Work', 'InPrivate']
+const compiledCategoriesCache = new WeakMap()
+const RULE_MATCH_KEYS = ['app', 'appContains', 'appRegex', 'title', 'titleContains', 'titleRegex', 'device']
+const compiledRulesCache = new WeakMap()
+
+/** 规整一组配置规则：正则预编译，条件或动作为空、正则非法的规则丢弃并告警 */
+function compileRules(list) {
+  if (!Array.isArray(list)) return []
+  if (compiledRulesCache.has(list)) return compiledRulesCache.get(list)
+  const toArray = (v) => (v == null ? [] : (Array.isArray(v) ? v : [v]).map((x) => String(x)))
+  const compiled = []
+  for (const rule of list) {
+    const match = (rule && rule.match) || {}
+    const action = (rule && rule.action) || {}
+    if (!RULE_MATCH_KEYS.some((k) => match[k] != null) || Object.keys(action).length === 0) {
+      logger.warn('[spy-status] 忽略无效规则（缺少 match 条件或 action）:', JSON.stringify(rule))
+      continue
+    }
+    try {
+      compiled.push({
+        app: toArray(match.app),
+        appContains: toArray(match.appContains),
+        appRegex: match.appRegex != null ? new RegExp(match.appRegex) : null,
+        title: toArray(match.title),
+        titleContains: toArray(match.titleContains),
+        titleRegex: match.titleRegex != null ? new RegExp(match.titleRegex) : null,
+        device: toArray(match.device),
+        deviceOnly: Object.keys(match).every((k) => k === 'device' || match[k] == null),
+        action,
+      })
+    } catch (e) {
+      logger.warn('[spy-status] 忽略正则非法的规则:', JSON.stringify(rule), e && e.message)
+    }
+  }
+  compiledRulesCache.set(list, compiled)
+  return compiled
+}
+
+/**
+ * 规整一组分类（或网站）配置：复用规则的匹配条件，keys 中各条件任一命中即可。
+ * 返回 [{ name, kind, verb, rules }]；what 为告警里的名称（分类 / 网站）
+ */
+function compileCategories(list, keys = ['app', 'appContains', 'appRegex'], what = '分类') {
+  if (!Array.isArray(list)) return []
+  if (compiledCategoriesCache.has(list)) return compiledCategoriesCache.get(list)
+  const compiled = []
+  for (const item of list) {
+    if (!item || !item.name) {
+      logger.warn(`[spy-status] 忽略无效${what}（缺少 name）:`, JSON.stringify(item))
+      continue
+    }
+    const rules = compileRules(keys
+      .filter((k) => item[k] != null)
+      .map((k) => ({ match: { [k]: item[k] }, action: { category: item.name } })))
+    if (!rules.length) {
+      logger.warn(`[spy-status] 忽略无效${what}（缺少 ${keys.join(' / ')}）:`, JSON.stringify(item))
+      continue
+    }
+    compiled.push({ name: String(item.name), kind: item.kind || null, verb: item.verb || null, rules })
+  }
+  compiledCategoriesCache.set(list, compiled)
+  return compiled
+}
+
+/** 单条规则是否命中。fields：{ app, titles: [window_title, app 字段], devices: [设备类型, 'phone'|'pc'] } */
+function matchRule(rule, fields) {
+  const app = (fields.app || '').trim()
+  const titles = (fields.titles || []).filter(Boolean)
+  if (rule.device.length && !rule.device.some((d) => (fields.devices || []).includes(d))) return false
+  if (rule.app.length && !rule.app.includes(app)) return false
+  if (rule.appContains.length && !rule.appContains.some((k) => app.includes(k))) return false
+  if (rule.appRegex && !rule.appRegex.test(app)) return false
+  if (rule.title.length && !titles.some((t) => rule.title.includes(t.trim()))) return false
+  if (rule.titleContains.length && !titles.some((t) => rule.titleContains.some((k) => t.includes(k)))) return false
+  if (rule.titleRegex && !titles.some((t) => rule.titleRegex.test(t))) return false
+  return true
+}
+
+/**
+ * 按顺序应用规则，返回 { hide, screenOff, rename, text, captions }。
+ * 同一动作以第一条命中的规则为准；caption 收集所有命中规则（去重）
+ */
+function applyRules(rules, fields) {
+  const effect = { hide: false, screenOff: false, rename: null, text: null, captions: [] }
+  const decided = new Set()
+  for (const rule of rules) {
+    if (!matchRule(rule, fields)) continue
+    for (const key of ['hide', 'screenOff', 'rename', 'text']) {
+      if (decided.has(key) || rule.action[key] == null) continue
+      effect[key] = typeof effect[key] === 'boolean' ? !!rule.action[key] : String(rule.action[key])
+      decided.add(key)
+    }
+    if (rule.action.caption && !effect.captions.includes(rule.action.caption)) effect.captions.push(String(rule.action.caption))
+  }
+  if (effect.text && fields.app) effect.text = effect.text.replace(/\{app\}/g, fields.app)
+  return effect
+}
+
+/** 数据源健康与熔断状态：数据源标识（server 为 apiBase）→ { failures, openUntil, lastError, lastErrorAt, lastOkAt, lastLatencyMs } */
+const sourceHealth = new Map()
+
+function getSourceHealth(base) {
+  if (!sourceHealth.has(base)) {
+    sourceHealth.set(base, { failures: 0, openUntil: 0, lastError: null, lastErrorAt: 0, lastOkAt: 0, lastLatencyMs: null })
+  }
+  return sourceHealth.get(base)
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/** 事件是否落在 [startMs, endMs) 内 */
+function inRange(ev, startMs, endMs) {
+  if (!ev || !ev.access_time) return false
+  const t = new Date(ev.access_time).getTime()
+  return !isNaN(t) && t >= startMs && t < endMs
+}
+
+/** 每台机器只保留最新一条，按时间倒序（数据源没有「当前状态」接口时用来模拟 /api/current-status） */
+function latestPerMachine(events) {
+  const sorted = [...events].sort((a, b) => new Date(b.access_time) - new Date(a.access_time))
+  const seen = new Set()
+  return sorted.filter((ev) => !seen.has(ev.machine) && seen.add(ev.machine))
+}
+
+/**
+ * 数据源适配器。统一输出 [{ machine, window_title, app, access_time }]：
+ *   key(src)：数据源标识，用于缓存、熔断与诊断
+ *   currentStatus(ctx, src, name, limit)：当前状态，按时间倒序
+ *   eventsInRange(ctx, src, name, startMs, endMs)：范围内事件，返回 { list, rangeSupported }（list 由调用方再按范围兜底过滤）
+ *   probe(ctx, src, name)：诊断探测，失败时抛错
+ * ctx 为插件实例，用于 getApiUrl / fetchFromSource（重试与熔断）/ getHeartbeatSeconds
+ */
+const SOURCE_ADAPTERS = {
+  server: {
+    key: (src) => src.apiBase,
+    async currentStatus(ctx, src, name, limit) {
+      const res = await ctx.fetchFromSource(ctx.getApiUrl('/api/current-status', { name, limit }, src.apiBase), src.apiBase)
+      if (!res.ok) throw new Error(`请求失败: HTTP ${res.status}`)
+      const list = await res.json()
+      return Array.isArray(list) ? list : []
+    },
+    /** 优先 GET /api/events?name=xxx&start=ISO&end=ISO，服务端未实现（404）时退回 /api/today-events（只能拿到今天） */
+    async eventsInRange(ctx, src, name, startMs, endMs) {
+      const url = ctx.getApiUrl('/api/events', { name, start: new Date(startMs).toISOString(), end: new Date(endMs).toISOString() }, src.apiBase)
+      const res = await ctx.fetchFromSource(url, src.apiBase)
+      if (res.status === 404) {
+        const todayRes = await ctx.fetchFromSource(ctx.getApiUrl('/api/today-events', { name }, src.apiBase), src.apiBase)
+        if (!todayRes.ok) throw new Error(`请求失败: HTTP ${todayRes.status}`)
+        const list = await todayRes.json()
+        return { list: Array.isArray(list) ? list : [], rangeSupported: false }
+      }
+      if (!res.ok) throw new Error(`请求失败: HTTP ${res.status}`)
+      const data = await res.json()
+      return { list: Array.isArray(data) ? data : [], rangeSupported: true }
+    },
+    async probe(ctx, src, name) {
+      const res = await fetchWithTimeout(name
+        ? ctx.getApiUrl('/api/current-status', { name, limit: 1 }, src.apiBase)
+        : ctx.getApiUrl('/api/names', {}, src.apiBase))
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    },
+  },
+
+  activitywatch: {
+    key: (src) => `aw:${src.url}`,
+    async getJson(ctx, src, path, params = {}) {
+      const res = await ctx.fetchFromSource(ctx.getApiUrl(path, params, src.url), this.key(src))
+      if (!res.ok) throw new Error(`请求失败: HTTP ${res.status}`)
+      return res.json()
+    },
+    /** 窗口 bucket 与按 hostname 索引的 afk bucket */
+    async getBuckets(ctx, src) {
+      const all = Object.values((await this.getJson(ctx, src, '/api/0/buckets/')) || {})
+      const windows = all.filter((b) => (Array.isArray(src.buckets) ? src.buckets.includes(b.id) : ['currentwindow', 'os.current_window'].includes(b.type)))
+      const afkByHost = new Map(all.filter((b) => b.type === 'afkstatus').map((b) => [b.hostname, b]))
+      return windows.map((b) => ({ bucket: b, afk: afkByHost.get(b.hostname) || null, machine: (src.machines && src.machines[b.id]) || b.hostname || b.id }))
+    },
+    async getEvents(ctx, src, bucketId, params) {
+      const list = await this.getJson(ctx, src, `/api/0/buckets/${encodeURIComponent(bucketId)}/events`, params)
+      return Array.isArray(list) ? list : []
+    },
+    toEvent(machine, awEvent, accessMs) {
+      const data = awEvent.data || {}
+      const app = data.app || ''
+      return { machine, window_title: data.title || app, app, access_time: new Date(accessMs).toISOString() }
+    },
+    async currentStatus(ctx, src) {
+      const result = []
+      for (const { bucket, afk, machine } of await this.getBuckets(ctx, src)) {
+        const [latest] = await this.getEvents(ctx, src, bucket.id, { limit: 1 })
+        if (!latest) continue
+        // 最后出现时间取窗口事件结束时刻；当前处于 afk 时取 afk 开始时刻
+        let accessMs = new Date(latest.timestamp).getTime() + (Number(latest.duration) || 0) * 1000
+        if (afk) {
+          const [lastAfk] = await this.getEvents(ctx, src, afk.id, { limit: 1 })
+          const afkStart = lastAfk ? new Date(lastAfk.timestamp).getTime() : NaN
+          const afkEnd = afkStart + ((lastAfk && Number(lastAfk.duration)) || 0) * 1000
+          if (lastAfk && lastAfk.data && lastAfk.data.status === 'afk' && afkEnd >= accessMs) accessMs = Math.min(accessMs, afkStart)
+        }
+        result.push(this.toEvent(machine, latest, accessMs))
+      }
+      return latestPerMachine(result)
+    },
+    /** 窗口事件带时长，按心跳间隔展开为点事件，与服务端的心跳上报口径一致；落在 afk 区间内的点丢弃 */
+    async eventsInRange(ctx, src, name, startMs, endMs) {
+      const params = { start: new Date(startMs).toISOString(), end: new Date(endMs).toISOString() }
+      const stepMs = ctx.getHeartbeatSeconds() * 1000
+      const list = []
+      for (const { bucket, afk, machine } of await this.getBuckets(ctx, src)) {
+        const afkRanges = afk
+          ? (await this.getEvents(ctx, src, afk.id, params))
+            .filter((e) => e.data && e.data.status === 'afk')
+            .map((e) => [new Date(e.timestamp).getTime(), new Date(e.timestamp).getTime() + (Number(e.duration) || 0) * 1000])
+          : []
+        for (const e of await this.getEvents(ctx, src, bucket.id, params)) {
+          const from = new Date(e.timestamp).getTime()
+          const to = from + (Number(e.duration) || 0) * 1000
+          for (let t = from; t <= to; t += stepMs) {
+            if (afkRanges.some(([a, b]) => t >= a && t < b)) continue
+            list.push(this.toEvent(machine, e, t))
+          }
+        }
+      }
+      return { list, rangeSupported: true }
+    },
+    async probe(ctx, src) {
+      const res = await fetchWithTimeout(ctx.getApiUrl('/api/0/info', {}, src.url))
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    },
+  },
+
+  jsonl: {
+    key: (src) => `jsonl:${src.path}`,
+    /** 读取文件中属于 name 的事件（行上没有 name 字段视为属于任何人），坏行跳过 */
+    async read(src, name) {
+      const text = await fs.promises.readFile(src.path, 'utf8')
+      const list = []
+      for (const line of text.split(/\r?\n/)) {
+        if (!line.trim()) continue
+        let ev
+        try {
+          ev = JSON.parse(line)
+        } catch (e) {
+          continue
+        }
+        if (!ev || !ev.access_time || (ev.name != null && ev.name !== name)) continue
+        list.push({ machine: ev.machine, window_title: ev.window_title, app: ev.app, access_time: ev.access_time })
+      }
+      return list
+    },
+    async currentStatus(ctx, src, name, limit) {
+      return latestPerMachine(await this.read(src, name)).slice(0, limit)
+    },
+    async eventsInRange(ctx, src, name, startMs, endMs) {
+      return { list: (await this.read(src, name)).filter((ev) => inRange(ev, startMs, endMs)), rangeSupported: true }
+    },
+    async probe(ctx, src) {
+      await fs.promises.access(src.path, fs.constants.R_OK)
+    },
+  },
+}
+
+/** 当前状态缓存：`${数据源标识}|${name}` → { value, fetchedAt, pending }，pending 为进行中的请求（并发请求合并为一次） */
+const statusCache = new Map()
+
+/** 订阅轮询状态：name → 上一次的状态快照（仅内存，重启后首轮只记录不提醒） */
+const subscriptionState = new Map()
+/** 订阅提醒限流：`${targetType}:${targetId}:${name}:${kind}` → 上次提醒时间戳 */
+const subscriptionLastNotify = new Map()
+let subscriptionPolling = false
+let limitChecking = false
+/** 已告警过的无效限额配置项，避免每次检查重复告警 */
+const warnedLimitItems = new WeakSet()
+
+/** 图片模式：设备图标、堆叠条配色，以及新鲜度分档（距最后一次上报） */
+const DEVICE_ICONS = { phone: '📱', tablet: '📟', pc: '🖥️', laptop: '💻' }
+const CARD_COLORS = ['#5b8ff9', '#5ad8a6', '#f6bd16', '#e8684a', '#6dc8ec', '#9270ca', '#ff9d4d', '#269a99']
+const CARD_OTHER_COLOR = '#c9cdd4'
+const CARD_TOP_APPS = 5
+const FRESH_MS = 5 * 60 * 1000
+const RECENT_MS = 60 * 60 * 1000
+/** 渲染模板写到此目录后交给 puppeteer（art-template 语法，{{ }} 自动转义） */
+const RENDER_TPL_DIR = './data/spy-status/html'
+const RENDER_CARD_STYLE = `
+  body { margin: 0; width: 580px; background: #f0f2f5; font-family: "PingFang SC", "Microsoft YaHei", sans-serif; color: #1f2329; }
+  #container { padding: 16px; }
+  .card { padding: 18px 20px; background: #fff; border-radius: 14px; box-shadow: 0 2px 8px rgba(0, 0, 0, .08); }
+  .name { font-size: 24px; font-weight: bold; }
+  .muted { color: #8f959e; font-size: 14px; }
+  .notice { margin-top: 10px; color: #646a73; font-size: 16px; }
+  .warn { margin-top: 12px; color: #f54a45; font-size: 14px; }`
+const RENDER_TEMPLATES = {
+  status: `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>${RENDER_CARD_STYLE}
+  .device { display: flex; margin-top: 14px; padding-top: 14px; border-top: 1px solid #eef0f3; }
+  .icon { width: 44px; font-size: 30px; }
+  .body { flex: 1; min-width: 0; }
+  .app { margin-top: 4px; font-size: 19px; font-weight: bold; }
+  .off { color: #8f959e; }
+  .sub { margin-top: 4px; color: #8f959e; font-size: 14px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .song { margin-top: 4px; color: #7b61ff; font-size: 15px; }
+  .verb { display: inline-block; margin-top: 6px; padding: 1px 8px; border-radius: 10px; background: #e8f3ff; color: #3370ff; font-size: 13px; }
+  .fresh { margin-left: 10px; text-align: right; white-space: nowrap; }
+  .dot { display: inline-block; width: 9px; height: 9px; margin-right: 5px; border-radius: 50%; background: #bbbfc4; }
+  .dot.fresh { background: #34c724; } .dot.recent { background: #ffc60a; }
+  .caption { margin-top: 12px; color: #646a73; font-size: 14px; }
+</style></head><body><div id="container"><div class="card">
+  <div class="name">{{name}}</div>
+  {{if notice}}<div class="notice">{{notice}}</div>{{/if}}
+  {{each devices d}}
+  <div class="device">
+    <div class="icon">{{d.icon}}</div>
+    <div class="body">
+      <div class="muted">{{d.label}}{{if d.typeName}} · {{d.typeName}}{{/if}}</div>
+      <div class="app {{if d.off}}off{{/if}}">{{d.app}}</div>
+      {{if d.song}}<div class="song">🎵 {{d.song}}</div>{{/if}}
+      {{if d.title}}<div class="sub">{{d.title}}</div>{{/if}}
+      {{if d.verb}}<div class="verb">{{d.verb}}</div>{{/if}}
+    </div>
+    {{if d.fresh}}<div class="fresh muted"><span class="dot {{d.fresh.level}}"></span>{{d.fresh.text}}<br>{{d.time}}</div>{{/if}}
+  </div>
+  {{/each}}
+  {{each captions caption}}<div class="caption">{{caption}}</div>{{/each}}
+  {{if staleNote}}<div class="warn">⚠️{{staleNote}}</div>{{/if}}
+</div></div></body></html>`,
+  report: `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>${RENDER_CARD_STYLE}
+  .summary { margin-top: 6px; }
+  .section { margin-top: 16px; padding-top: 14px; border-top: 1px solid #eef0f3; }
+  .title { display: flex; justify-content: space-between; font-size: 17px; font-weight: bold; }
+  .bar { display: flex; height: 18px; margin-top: 8px; overflow: hidden; border-radius: 9px; background: #f2f3f5; }
+  .legend { margin-top: 8px; font-size: 13px; color: #646a73; }
+  .legend span { display: inline-block; margin: 2px 12px 2px 0; }
+  .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+  .strip { display: flex; height: 14px; margin-top: 8px; }
+  .strip div { flex: 1; margin-right: 2px; border-radius: 2px; }
+  .strip .future { border: 1px dashed #dee0e3; background: none; }
+  .axis { display: flex; margin-top: 2px; font-size: 12px; color: #8f959e; }
+  .axis span { flex: none; }
+</style></head><body><div id="container"><div class="card">
+  <div class="name">{{title}}</div>
+  <div class="muted summary">视奸覆盖 {{percent}}% · 共 {{total}}</div>
+  {{if categories.length}}
+  <div class="section">
+    <div class="title"><span>分类占比</span></div>
+    <div class="bar">{{each categories s}}<div style="width: {{s.pct}}%; background: {{s.color}}"></div>{{/each}}</div>
+    <div class="legend">{{each categories s}}<span><i style="background: {{s.color}}"></i>{{s.name}} {{s.duration}}</span>{{/each}}</div>
+  </div>
+  {{/if}}
+  {{each devices d}}
+  <div class="section">
+    <div class="title"><span>{{d.icon}} {{d.label}}</span><span class="muted">{{d.total}}</span></div>
+    {{if d.segments.length}}
+    <div class="bar">{{each d.segments s}}<div style="width: {{s.pct}}%; background: {{s.color}}"></div>{{/each}}</div>
+    <div class="legend">{{each d.segments s}}<span><i style="background: {{s.color}}"></i>{{s.name}} {{s.duration}}</span>{{/each}}</div>
+    {{else}}<div class="muted">暂无数据</div>{{/if}}
+    <div class="strip">{{each d.strip c}}<div class="{{if c.future}}future{{/if}}" style="{{if !c.future}}background: rgba(91, 143, 249, {{c.alpha}}){{/if}}"></div>{{/each}}</div>
+    <div class="axis">{{each axis a}}<span style="width: {{a.pct}}%">{{a.text}}</span>{{/each}}</div>
+  </div>
+  {{/each}}
+</div></div></body></html>`,
+}
+/** 本进程已写出的模板，避免每次渲染都写文件 */
+const writtenTemplates = new Set()
+
+/** 模板文件路径（首次使用时写出） */
+function getTemplateFile(kind) {
+  const file = `${RENDER_TPL_DIR}/${kind}.html`
+  if (!writtenTemplates.has(kind)) {
+    fs.mkdirSync(RENDER_TPL_DIR, { recursive: true })
+    fs.writeFileSync(file, RENDER_TEMPLATES[kind])
+    writtenTemplates.add(kind)
+  }
+  return file
+}
+
+/** 新鲜度：{ level: fresh / recent / stale, text }，如 { level: 'recent', text: '12分钟前' }；t 为文字模板（语言包） */
+function getFreshness(ms, nowMs = Date.now(), t = TEMPLATE_PACKS[DEFAULT_LOCALE]) {
+  const age = Math.max(0, nowMs - ms)
+  const level = age <= FRESH_MS ? 'fresh' : age <= RECENT_MS ? 'recent' : 'stale'
+  if (age < 60 * 1000) return { level, text: t.freshNow }
+  if (age < HOUR_MS) return { level, text: fillTemplate(t.freshMinutes, { n: Math.floor(age / 60000) }) }
+  if (age < 24 * HOUR_MS) return { level, text: fillTemplate(t.freshHours, { n: Math.floor(age / HOUR_MS) }) }
+  return { level, text: fillTemplate(t.freshDays, { n: Math.floor(age / (24 * HOUR_MS)) }) }
+}
+
+/** 导出文件的临时目录（发送后即删除）与 CSV 列 */
+const EXPORT_DIR = './data/spy-status/export'
+const EXPORT_EVENT_COLUMNS = ['access_time', 'local_time', 'machine', 'device', 'device_type', 'app', 'window_title', 'stats_app', 'display_app', 'noise', 'screen_off']
+const EXPORT_APP_COLUMNS = ['device', 'device_type', 'app', 'category', 'sessions', 'seconds', 'duration']
+
+/**
+ * 对象数组 → CSV（带 BOM，Excel 打开中文不乱码）。含逗号、引号、换行的单元格加引号；
+ * 以 = + - @ 开头的文本前加单引号，避免表格软件当成公式执行（窗口标题可以是任意文本）
+ */
+function toCsv(rows, columns) {
+  const cell = (v) => {
+    let s = v == null ? '' : String(v)
+    if (typeof v === 'string' && /^[=+\-@]/.test(s)) s = `'${s}`
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+  }
+  return '\uFEFF' + [columns.join(','), ...rows.map((row) => columns.map((col) => cell(row[col])).join(','))].join('\r\n') + '\r\n'
+}
+
+/** 定时隐身时段「HH:MM-HH:MM」 */
+const INVISIBLE_WINDOW_RE = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/
+const invisibleWindowsCache = new WeakMap()
+
+/**
+ * persons 项的定时隐身时段，规整为 [{ text, from, to }]（from / to 为一天中的分钟数）。
+ * 按配置对象缓存，配置重新加载后才重新解析；格式不对的在配置校验时报出，这里直接跳过
+ */
+function parseInvisibleWindows(p) {
+  if (!p || !p.invisibleWindows) return []
+  if (invisibleWindowsCache.has(p)) return invisibleWindowsCache.get(p)
+  const windows = []
+  for (const w of [].concat(p.invisibleWindows)) {
+    const m = INVISIBLE_WINDOW_RE.exec(String(w))
+    if (m) windows.push({ text: String(w).trim(), from: Number(m[1]) * 60 + Number(m[2]), to: Number(m[3]) * 60 + Number(m[4]) })
+  }
+  invisibleWindowsCache.set(p, windows)
+  return windows
+}
+
+/** 会话的时间并集：按开始时间合并重叠或相接的 [start, end)，返回 [{ start, end }] */
+function mergeIntervals(sessions) {
+  const merged = []
+  for (const s of [...sessions].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1]
+    if (last && s.start <= last.end) last.end = Math.max(last.end, s.end)
+    else merged.push({ start: s.start, end: s.end })
+  }
+  return merged
+}
+
+/** 两组已合并区间的交集 */
+function intersectIntervals(a, b) {
+  const out = []
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    const start = Math.max(a[i].start, b[j].start)
+    const end = Math.min(a[i].end, b[j].end)
+    if (end > start) out.push({ start, end })
+    if (a[i].end < b[j].end) i++
+    else j++
+  }
+  return out
+}
 
-const cache = {
-  byNames: {},
-  timestamp: 0,
+/** 按并发上限依次执行 fn(item, index)，返回与 Promise.allSettled 相同结构的结果（顺序与 items 一致） */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      try {
+        results[i] = { status: 'fulfilled', value: await fn(items[i], i) }
+      } catch (e) {
+        results[i] = { status: 'rejected', reason: e }
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker))
+  return results
 }
 
-const fetchWithTimeout = (url, opts = {}, ms = CONFIG.TIMEOUT) =>
-  Promise.race([
+/** 带超时的 fetch；请求结束后清掉超时定时器，重试与轮询不会攒下一堆空等的定时器 */
+const fetchWithTimeout = (url, opts = {}, ms = CONFIG.TIMEOUT) => {
+  let timer
+  return Promise.race([
     fetch(url, { ...opts, signal: AbortSignal.timeout(ms) }),
-    new Promise((_, rej) =>
-      setTimeout(() => rej(new Error('Request timeout')), ms)
-    ),
-  ])
+    new Promise((_, rej) => {
+      timer = setTimeout(() => rej(new Error('Request timeout')), ms)
+    }),
+  ]).finally(() => clearTimeout(timer))
+}
 
 export class SpyStatus extends plugin {
+  /**
+   * 规则引擎与配置校验（不依赖实例的纯函数），供测试与其他插件使用。
+   * 加载器会把插件文件的每个导出都当作插件实例化，所以挂在类上而不单独导出
+   */
+  static ruleEngine = { compileRules, matchRule, applyRules, validateSpyStatusConfig }
+
   constructor() {
     const spyCfg = loadSpyStatusConfig()
-    const persons = Array.isArray(spyCfg.persons) ? spyCfg.persons : []
-    const teamTrigger = spyCfg.teamTrigger || '时间开发团队'
-    const triggers = [...persons.map((p) => (p && p.trigger) || '').filter(Boolean), teamTrigger, '时间所有人']
-    const reg = triggers.length > 0 ? new RegExp(`^(${triggers.join('|')})\\s*$`) : /^$/
-    const todayNames = [...new Set([...persons.map((p) => p && p.name).filter(Boolean), ...(Array.isArray(spyCfg.teamNames) ? spyCfg.teamNames : [])])]
-    const regToday = todayNames.length > 0 ? new RegExp(`^看看(${todayNames.join('|')})今天做了什么\\s*$`) : /^$/
+    watchConfigFile()
     super({
       name: 'spy-status',
       dsc: '查询桌面状态（多人，对接 Web/server.js）；人物与指令在 config/config/spy-status.yaml 配置',
       event: 'message',
       priority: 5000,
-      rule: [{ reg, fnc: 'query' }, { reg: regToday, fnc: 'queryToday' }],
+      // 与其他实例共用，配置热重载时原地更新
+      rule: sharedRules,
     })
     this.spyStatusCfg = spyCfg
+    this.task = [
+      { name: 'spy-status订阅推送', cron: spyCfg.subscribeCron || CONFIG.SUBSCRIBE_CRON, fnc: () => this.pollSubscriptions(), log: false },
+      { name: 'spy-status每日日报', cron: spyCfg.digestCron || CONFIG.DIGEST_CRON, fnc: () => this.pushDailyDigest() },
+      { name: 'spy-status防沉迷提醒', cron: spyCfg.limitCheckCron || CONFIG.LIMIT_CHECK_CRON, fnc: () => this.checkLimits(), log: false },
+    ]
   }
 
   getApiUrl(path, params = {}, base) {
@@ -85,31 +1188,155 @@ export class SpyStatus extends plugin {
     return q ? `${b}${path}?${q}` : `${b}${path}`
   }
 
+  /** 重试与熔断参数 */
+  getResilienceOptions() {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const num = (v, def) => (v != null && Number(v) >= 0 ? Number(v) : def)
+    return {
+      retries: num(c.retryCount, CONFIG.RETRY_COUNT),
+      backoffMs: num(c.retryBackoffMs, CONFIG.RETRY_BACKOFF_MS),
+      failureThreshold: Number(c.circuitFailureThreshold) > 0 ? Number(c.circuitFailureThreshold) : CONFIG.CIRCUIT_FAILURE_THRESHOLD,
+      openMs: num(c.circuitOpenSeconds, CONFIG.CIRCUIT_OPEN_TIME / 1000) * 1000,
+    }
+  }
+
+  /**
+   * 经重试与熔断请求某数据源：网络错误与 5xx 按指数退避重试，4xx 直接返回给调用方处理。
+   * 重试用尽记一次失败，连续失败达到阈值后该数据源熔断 openMs，熔断期间直接抛错；熔断到期后放行请求试探，成功即恢复
+   */
+  async fetchFromSource(url, base) {
+    const { retries, backoffMs, failureThreshold, openMs } = this.getResilienceOptions()
+    const health = getSourceHealth(base)
+    if (health.openUntil > Date.now()) {
+      throw new Error(`数据源暂时不可用（熔断中，${Math.ceil((health.openUntil - Date.now()) / 1000)}秒后重试）`)
+    }
+    let lastErr
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(backoffMs * 2 ** (attempt - 1))
+      const t0 = Date.now()
+      try {
+        const res = await fetchWithTimeout(url)
+        if (res.status >= 500) throw new Error(`请求失败: HTTP ${res.status}`)
+        health.failures = 0
+        health.openUntil = 0
+        health.lastOkAt = Date.now()
+        health.lastLatencyMs = health.lastOkAt - t0
+        return res
+      } catch (e) {
+        lastErr = e
+      }
+    }
+    health.failures += 1
+    health.lastError = (lastErr && lastErr.message) || String(lastErr)
+    health.lastErrorAt = Date.now()
+    if (health.failures >= failureThreshold) {
+      health.openUntil = Date.now() + openMs
+      logger.warn(`[spy-status] 数据源 ${base} 连续失败 ${health.failures} 次，熔断 ${Math.round(openMs / 1000)} 秒:`, health.lastError)
+    }
+    throw lastErr
+  }
+
   async fetchNames() {
     const url = this.getApiUrl('/api/names')
-    const res = await fetchWithTimeout(url)
+    const res = await this.fetchFromSource(url, CONFIG.API_BASE)
     if (!res.ok) throw new Error('获取名单失败')
     const data = await res.json()
     return (data && data.names && Array.isArray(data.names)) ? data.names : []
   }
 
-  async fetchStatusByName(name, limit = CONFIG.PER_PERSON_LIMIT, apiBase) {
-    const base = apiBase != null ? apiBase : CONFIG.API_BASE
-    const url = this.getApiUrl('/api/current-status', { name, limit }, base)
-    const res = await fetchWithTimeout(url)
-    if (!res.ok) throw new Error(`请求失败: HTTP ${res.status}`)
-    const list = await res.json()
-    return Array.isArray(list) ? list : []
+  /** 某人的数据源：persons[].source（type 默认 server），server 类型的地址取 source.apiBase 或 getApiBaseForName */
+  getSourceForName(name) {
+    const p = this.getPersonConfig(name)
+    const src = (p && p.source) || {}
+    const type = src.type || 'server'
+    if (type === 'server') return { ...src, type, apiBase: src.apiBase ? String(src.apiBase).replace(/\/$/, '') : this.getApiBaseForName(name) }
+    if (type === 'activitywatch') return { ...src, type, url: String(src.url || 'http://127.0.0.1:5600').replace(/\/$/, '') }
+    return { ...src, type }
+  }
+
+  getSourceAdapter(src) {
+    const adapter = SOURCE_ADAPTERS[src.type]
+    if (!adapter) throw new Error(`未知的数据源类型：${src.type}`)
+    return adapter
+  }
+
+  /** 数据源标识（缓存、熔断、诊断按此区分） */
+  getSourceKey(name) {
+    const src = this.getSourceForName(name)
+    return this.getSourceAdapter(src).key(src)
+  }
+
+  /** 当前状态（按时间倒序的最新事件） */
+  async fetchStatusByName(name, limit = CONFIG.PER_PERSON_LIMIT) {
+    const src = this.getSourceForName(name)
+    return this.dropInvisibleEvents(name, await this.getSourceAdapter(src).currentStatus(this, src, name, limit))
+  }
+
+  /** 缓存参数：{ ttlMs, swrMs, concurrency } */
+  getCacheOptions() {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const num = (v, def) => (v != null && Number(v) >= 0 ? Number(v) : def)
+    return {
+      ttlMs: num(c.cacheTtlSeconds, CONFIG.CACHE_EXPIRE_TIME / 1000) * 1000,
+      swrMs: num(c.staleWhileRevalidateSeconds, CONFIG.STALE_WHILE_REVALIDATE_TIME / 1000) * 1000,
+      concurrency: Number(c.fetchConcurrency) > 0 ? Number(c.fetchConcurrency) : CONFIG.FETCH_CONCURRENCY,
+    }
+  }
+
+  /**
+   * 带缓存的当前状态：按人 + 数据源缓存，未过期直接返回；过期但在 stale-while-revalidate 窗口内先返回旧数据并后台刷新；
+   * 同一 key 同时只有一个上游请求，其余调用等待同一个结果。拉取失败时退回上次成功的数据（fallback 为 true）。
+   * 返回 { events, fetchedAt, fallback }
+   */
+  async getStatusCached(name) {
+    const key = `${this.getSourceKey(name)}|${name}`
+    const { ttlMs, swrMs } = this.getCacheOptions()
+    const entry = statusCache.get(key) || {}
+    statusCache.set(key, entry)
+    const toResult = (fallback) => ({ events: entry.value, fetchedAt: entry.fetchedAt, fallback })
+    const age = entry.fetchedAt ? Date.now() - entry.fetchedAt : Infinity
+    if (age < ttlMs) return toResult(false)
+
+    if (!entry.pending) {
+      entry.pending = this.fetchStatusByName(name, CONFIG.PER_PERSON_LIMIT)
+        .then((value) => {
+          entry.value = value
+          entry.fetchedAt = Date.now()
+          return value
+        })
+        .finally(() => {
+          entry.pending = null
+        })
+    }
+    const pending = entry.pending
+    if (entry.fetchedAt && age < ttlMs + swrMs) {
+      pending.catch((e) => logger.warn('[spy-status] 后台刷新失败:', name, e && e.message))
+      return toResult(false)
+    }
+    try {
+      await pending
+      return toResult(false)
+    } catch (e) {
+      if (!entry.fetchedAt) throw e
+      logger.warn('[spy-status] 拉取失败，使用上次成功的数据:', name, e && e.message)
+      return toResult(true)
+    }
   }
 
-  /** 拉取某人当天上传的事件（需服务端实现 GET /api/today-events?name=xxx，返回 [{ machine, window_title, app, access_time }, ...]） */
-  async fetchTodayEvents(name, apiBase) {
-    const base = apiBase != null ? apiBase : CONFIG.API_BASE
-    const url = this.getApiUrl('/api/today-events', { name }, base)
-    const res = await fetchWithTimeout(url)
-    if (!res.ok) throw new Error(`请求失败: HTTP ${res.status}`)
-    const list = await res.json()
-    return Array.isArray(list) ? list : []
+  /** 拉取某人「今天」（按此人的时区与 dayStartHour）的事件 */
+  async fetchTodayEvents(name) {
+    const { startMs, endMs } = this.parseReportRange('今天', name)
+    return (await this.fetchEventsInRange(name, startMs, endMs)).list
+  }
+
+  /**
+   * 拉取某人在 [startMs, endMs) 内的事件（经数据源适配器）。返回 { list, rangeSupported }，list 已在本地按范围过滤并去掉隐身时段内的事件；
+   * rangeSupported 为 false 表示数据源只能提供今天的数据
+   */
+  async fetchEventsInRange(name, startMs, endMs) {
+    const src = this.getSourceForName(name)
+    const { list, rangeSupported } = await this.getSourceAdapter(src).eventsInRange(this, src, name, startMs, endMs)
+    return { list: this.dropInvisibleEvents(name, list.filter((ev) => inRange(ev, startMs, endMs))), rangeSupported }
   }
 
   /** 是否为手机/移动端设备（不展示窗口标题，仅应用+时间） */
@@ -119,6 +1346,62 @@ export class SpyStatus extends plugin {
     return /phone|android|mobile|iq13|iqoo/i.test(m)
   }
 
+  /** 设备类型是否按移动端处理（手机/平板：不展示窗口标题） */
+  isMobileType(type) {
+    return type === 'phone' || type === 'tablet'
+  }
+
+  /** 某人登记的设备（persons[].devices，未配置时用内置登记），规整为 { key, machine, label, type, hidden, mapped } */
+  getPersonDevices(name) {
+    const p = this.getPersonConfig(name)
+    const list = p && Array.isArray(p.devices) ? p.devices : (DEFAULT_PERSON_DEVICES[name] || [])
+    return list.filter((d) => d && d.machine).map((d) => ({
+      key: String(d.machine),
+      machine: String(d.machine),
+      label: d.name ? String(d.name) : String(d.machine),
+      type: DEVICE_TYPES[d.type] ? d.type : (this.isPhoneDevice(d.machine) ? 'phone' : 'pc'),
+      hidden: !!d.hidden,
+      mapped: true,
+    }))
+  }
+
+  /** 未登记机器的兜底设备（按 isPhoneDevice 归为手机或电脑） */
+  getFallbackDevice(type) {
+    return { key: `*${type}`, machine: null, label: type === 'phone' ? '手机' : 'PC', type, hidden: false, mapped: false }
+  }
+
+  /** 统计/时间线中的设备名：登记设备用展示名，兜底设备用类型名（手机/电脑） */
+  getDeviceStatsLabel(device) {
+    return device.mapped ? device.label : DEVICE_TYPES[device.type]
+  }
+
+  /**
+   * 按设备分组事件：登记设备各一组，未登记机器归入兜底的手机/电脑组，组内保持原顺序。
+   * 登记设备（以及没有任何登记时的兜底手机/电脑）即使没有事件也保留；hidden 或被规则隐藏的设备不返回。
+   * 返回 [{ device, events }]
+   */
+  groupEventsByDevice(name, events) {
+    const registered = this.getPersonDevices(name)
+    const groups = registered.map((device) => ({ device, events: [] }))
+    const byMachine = new Map(groups.map((g) => [g.device.machine, g]))
+    const fallback = {
+      phone: { device: this.getFallbackDevice('phone'), events: [] },
+      pc: { device: this.getFallbackDevice('pc'), events: [] },
+    }
+    for (const ev of events || []) {
+      if (!ev) continue
+      const g = byMachine.get(String(ev.machine)) || fallback[this.isPhoneDevice(ev.machine) ? 'phone' : 'pc']
+      g.events.push(ev)
+    }
+    const fallbackGroups = [fallback.phone, fallback.pc].filter((g) => registered.length === 0 || g.events.length > 0)
+    return [...groups, ...fallbackGroups].filter((g) => !g.device.hidden && !this.isDeviceHidden(name, g.device))
+  }
+
+  /** 从最新事件列表中取每台设备的第一条（最新）事件，返回 [{ device, latest }]，latest 可为 null */
+  getLatestByDevice(name, events) {
+    return this.groupEventsByDevice(name, events).map(({ device, events: list }) => ({ device, latest: list[0] || null }))
+  }
+
   /** 从 event 取应用名（window_title 首段或 app），用于判断。有包名时只取「 - 」前一段，精确匹配用。 */
   getAppNameFromEvent(ev) {
     if (!ev) return ''
@@ -156,6 +1439,22 @@ export class SpyStatus extends plugin {
     return { appName, windowTitle }
   }
 
+  /** 浏览器页面标题：去掉末尾的配置文件段（如 Edge 的「- 个人」）与「和另外 N 个页面」 */
+  getBrowserPageTitle(windowTitle) {
+    const parts = String(windowTitle || '').split(' - ').map((p) => p.trim()).filter(Boolean)
+    while (parts.length > 1 && BROWSER_PROFILE_SEGMENTS.includes(parts[parts.length - 1])) parts.pop()
+    return parts.join(' - ').replace(/\s*和另外\s*\d+\s*个页面$/, '').trim()
+  }
+
+  /** 页面标题所属网站：config 的 sites 在前，内置网站在后，都不命中为「其他网页」 */
+  getSiteName(pageTitle) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const keys = ['title', 'titleContains', 'titleRegex']
+    const sites = [...compileCategories(c.sites, keys, '网站'), ...(c.useDefaultSites === false ? [] : compileCategories(DEFAULT_SITES, keys, '网站'))]
+    const hit = sites.find((x) => x.rules.some((rule) => matchRule(rule, { titles: [pageTitle] })))
+    return hit ? hit.name : OTHER_SITE
+  }
+
   /** 今日统计用：从 event 解析出用于分组的应用名（手机取应用名/音乐取应用，电脑取浏览器式最后一段或首段） */
   getAppNameForStats(ev, isPhone) {
     if (!ev) return '未知'
@@ -173,13 +1472,13 @@ export class SpyStatus extends plugin {
   }
 
   /** 秒数格式化为「x小时x分钟」 */
-  formatDuration(seconds) {
+  formatDuration(seconds, t = TEMPLATE_PACKS[DEFAULT_LOCALE]) {
     const h = Math.floor(seconds / 3600)
     const m = Math.floor((seconds % 3600) / 60)
-    if (h > 0 && m > 0) return `${h}小时${m}分钟`
-    if (h > 0) return `${h}小时`
-    if (m > 0) return `${m}分钟`
-    return '不足1分钟'
+    if (h > 0 && m > 0) return fillTemplate(t.durationHM, { h, m })
+    if (h > 0) return fillTemplate(t.durationH, { h })
+    if (m > 0) return fillTemplate(t.durationM, { m })
+    return t.durationShort
   }
 
   /** 去掉字符串开头可能因编码损坏产生的乱码（ U+FFFD、孤立代理对）或音乐符号（🎶🎵） */
@@ -203,208 +1502,440 @@ export class SpyStatus extends plugin {
     return { app, song }
   }
 
-  /** 是否为不输出的噪音应用（精确匹配：应用名与列表项完全一致） */
-  isNoiseApp(appName) {
-    return NOISE_APPS.some((a) => (appName || '').trim() === a)
+  /** 曲目归并用的键：去掉乱码（替换字符、落单的代理对）与多余空白，避免同一首歌被拆成多条 */
+  getSongKey(song) {
+    return String(song || '').replace(/[\uFFFD\uD800-\uDFFF]/g, '').replace(/\s+/g, ' ').trim().toLowerCase()
   }
 
-  /** 是否为熄屏类（精确匹配：仅此类时显示「熄屏」） */
-  isScreenOffApp(appName) {
-    return SCREEN_OFF_APPS.some((a) => (appName || '').trim() === a)
+  /**
+   * 听歌记录：按曲目重建会话（音乐类标题以外的事件、熄屏/噪音都会断开），跨设备合并。
+   * 返回 { totalSeconds, songs: [{ song, seconds, plays, firstStart }]（按首次播放顺序）, players: [{ app, seconds }]（按时长倒序） }
+   */
+  getListeningHistory(name, events, startMs, endMs) {
+    const clipEnd = Math.min(endMs, Date.now())
+    const songs = new Map()
+    const players = new Map()
+    // 会话按归并键切分（同一首歌标题里夹了乱码也不会断开），展示用第一次见到的标题
+    const titles = new Map()
+    let totalSeconds = 0
+    for (const { device, events: list } of this.groupEventsByDevice(name, events)) {
+      const labelOf = (ev) => {
+        if (this.isNoiseOrScreenOffForStats(ev, device.type, name)) return null
+        const music = this.parseMusicWindowTitle((ev.window_title || ev.app || '').trim())
+        const key = music && this.getSongKey(music.song)
+        if (!key) return null
+        if (!titles.has(key)) titles.set(key, music.song)
+        return `${music.app}\u0001${key}`
+      }
+      const sessions = this.clipSessions(this.buildSessions(list, device.type, name, this.getSessionOptions(), labelOf), startMs, clipEnd)
+      for (const session of sessions) {
+        const [app, key] = session.app.split('\u0001')
+        const item = songs.get(key) || songs.set(key, { song: titles.get(key), seconds: 0, plays: 0, firstStart: session.start }).get(key)
+        item.seconds += session.seconds
+        item.plays += 1
+        item.firstStart = Math.min(item.firstStart, session.start)
+        players.set(app, (players.get(app) || 0) + session.seconds)
+        totalSeconds += session.seconds
+      }
+    }
+    return {
+      totalSeconds,
+      songs: [...songs.values()].sort((a, b) => a.firstStart - b.firstStart),
+      players: [...players].map(([app, seconds]) => ({ app, seconds })).sort((a, b) => b.seconds - a.seconds),
+    }
   }
 
-  /** 当日使用统计中是否排除该事件（熄屏类、噪音应用不参与统计与展示） */
-  isNoiseOrScreenOffForStats(ev, isPhone) {
-    const appName = this.getAppNameForStats(ev, isPhone)
-    return this.isNoiseApp(appName) || this.isScreenOffApp(appName)
+  /**
+   * 浏览器记录：电脑上应用属于「浏览器」分类的事件，按「网站 + 页面」重建会话（其他应用、熄屏/噪音都会断开）。
+   * 返回 { totalSeconds, sites: [{ site, seconds }], pages: [{ site, page, seconds }] }，均按时长倒序
+   */
+  getBrowserHistory(name, events, startMs, endMs) {
+    const clipEnd = Math.min(endMs, Date.now())
+    const sites = new Map()
+    const pages = new Map()
+    let totalSeconds = 0
+    for (const { device, events: list } of this.groupEventsByDevice(name, events)) {
+      if (this.isMobileType(device.type)) continue
+      const labelOf = (ev) => {
+        if (this.isNoiseOrScreenOffForStats(ev, device.type, name)) return null
+        const browser = this.parseBrowserStyleTitle((ev.window_title || '').trim())
+        if (!browser || !this.isBrowserApp(this.getStatsAppName(ev, device.type, name))) return null
+        const page = this.getBrowserPageTitle(browser.windowTitle)
+        return `${this.getSiteName(page)}\u0001${page}`
+      }
+      const sessions = this.clipSessions(this.buildSessions(list, device.type, name, this.getSessionOptions(), labelOf), startMs, clipEnd)
+      for (const session of sessions) {
+        const [site, page] = session.app.split('\u0001')
+        sites.set(site, (sites.get(site) || 0) + session.seconds)
+        const item = pages.get(session.app) || pages.set(session.app, { site, page, seconds: 0 }).get(session.app)
+        item.seconds += session.seconds
+        totalSeconds += session.seconds
+      }
+    }
+    return {
+      totalSeconds,
+      sites: [...sites].map(([site, seconds]) => ({ site, seconds })).sort((a, b) => b.seconds - a.seconds),
+      pages: [...pages.values()].sort((a, b) => b.seconds - a.seconds),
+    }
   }
 
-  /** 电脑无数据或数据超过指定时长未更新 */
-  isPcStale(pcData, maxAgeMs = PC_STALE_MS) {
-    if (!pcData) return true
-    const t = pcData.access_time ? new Date(pcData.access_time).getTime() : 0
-    return Date.now() - t > maxAgeMs
+  /** 某人生效的展示规则：个人规则在前，全局规则在后（各自配置在前、内置默认在后） */
+  resolveRules(name) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const useDefault = c.useDefaultRules !== false
+    const persons = Array.isArray(c.persons) ? c.persons : []
+    const p = persons.find((x) => x && x.name === name)
+    return [
+      ...compileRules(p && p.rules),
+      ...(useDefault ? compileRules(DEFAULT_PERSON_RULES[name]) : []),
+      ...compileRules(c.rules),
+      ...(useDefault ? compileRules(DEFAULT_RULES) : []),
+    ]
   }
 
-  /** 手机仅熄屏类且（电脑无数据或电脑 4h 未更新）→ 显示「好像睡着了」 */
-  isAsleepCondition(phoneData, pcData) {
-    if (!phoneData) return false
-    const appName = this.getAppNameFromEvent(phoneData)
-    if (!this.isScreenOffApp(appName)) return false
-    return this.isPcStale(pcData)
+  /** 设备类型对应的规则匹配值：自身类型及其大类（phone/pc） */
+  getDeviceKinds(deviceType) {
+    return [deviceType, this.isMobileType(deviceType) ? 'phone' : 'pc']
   }
 
-  /** event 的 window_title 或 app 是否包含某关键词（用于制霸等包含匹配） */
-  eventContainsKeyword(ev, keyword) {
-    if (!ev || !keyword) return false
-    const wt = (ev.window_title || '').includes(keyword)
-    const app = (ev.app || '').includes(keyword)
-    return wt || app
+  /** 对单条事件应用某人的展示规则；app 默认取 getAppNameFromEvent，统计时传入 getAppNameForStats 的结果 */
+  getEventEffect(ev, name, deviceType, app) {
+    if (!ev) return applyRules([], {})
+    const fields = {
+      app: app != null ? app : this.getAppNameFromEvent(ev),
+      titles: [ev.window_title, ev.app],
+      devices: this.getDeviceKinds(deviceType),
+    }
+    return applyRules(this.resolveRules(name), fields)
   }
 
-  fmtTime(ev) {
-    if (!ev || !ev.access_time) return '--'
-    const t = new Date(ev.access_time)
-    return `${String(t.getMonth() + 1).padStart(2, '0')}-${String(t.getDate()).padStart(2, '0')} ${String(t.getHours()).padStart(2, '0')}:${String(t.getMinutes()).padStart(2, '0')}`
+  /** 某人的某台设备是否被规则整台隐藏（只写 device 条件的 hide 规则） */
+  isDeviceHidden(name, device) {
+    const kinds = this.getDeviceKinds(device.type)
+    return this.resolveRules(name).some((r) => r.deviceOnly && r.device.some((d) => kinds.includes(d)) && r.action.hide)
   }
 
-  /** 雨核/音落/夜合：按皮梦逻辑，手机/电脑各一块，每块只展示一条最新；支持 🎶/🎵 音乐窗口解析为「在听什么歌」 */
-  formatPersonBlock(name, phoneData, pcData, opts = {}) {
-    const hidePc = !!opts.hidePc
-    let phoneBlock
-    if (!phoneData) {
-      phoneBlock = ['====== 手机状态 ======', '  暂无数据', ''].join('\n')
-    } else {
-      const appName = this.getAppNameFromEvent(phoneData)
-      if (this.isNoiseApp(appName)) {
-        const text = this.isScreenOffApp(appName) ? '熄屏' : '暂无数据'
-        phoneBlock = ['====== 手机状态 ======', `  ${text}`, `来自：${name} の 手机`, ''].join('\n')
-      } else {
-        const rawTitle = (phoneData.window_title || phoneData.app || '').trim()
-        const music = this.parseMusicWindowTitle(rawTitle)
-        let content
-        if (music) {
-          content = `🎵正在听：${music.song}\n▶应用：${music.app}`
-        } else {
-          const app = this.getDisplayAppNameForPhone(phoneData)
-          content = (app === '游戏助推器')
-            ? '在打游戏，但是采集不到在打什么神秘游戏'
-            : `▶应用：${app}`
-        }
-        phoneBlock = [
-          '====== 手机状态 ======',
-          content,
-          `更新时间：${this.fmtTime(phoneData)}`,
-          `来自：${name} の 手机`,
-          ''
-        ].join('\n')
-      }
+  /** 当日使用统计中是否排除该事件（被规则隐藏或视为熄屏的事件不参与统计与展示） */
+  isNoiseOrScreenOffForStats(ev, deviceType, name) {
+    const effect = this.getEventEffect(ev, name, deviceType, this.getAppNameForStats(ev, this.isMobileType(deviceType)))
+    return effect.hide || effect.screenOff
+  }
+
+  /** 统计用应用名：getAppNameForStats 后再应用规则中的 rename */
+  getStatsAppName(ev, deviceType, name) {
+    const app = this.getAppNameForStats(ev, this.isMobileType(deviceType))
+    return this.getEventEffect(ev, name, deviceType, app).rename || app
+  }
+
+  /** 电脑无数据或数据超过指定时长未更新 */
+  isPcStale(pcData, maxAgeMs = PC_STALE_MS) {
+    if (!pcData) return true
+    const t = pcData.access_time ? new Date(pcData.access_time).getTime() : 0
+    return Date.now() - t > maxAgeMs
+  }
+
+  /** 有数据的手机/平板都只剩熄屏类且电脑都无数据或 4h 未更新 → 显示「好像睡着了」。entries 为 getLatestByDevice 的结果 */
+  isAsleepCondition(entries, name) {
+    const mobiles = entries.filter((x) => this.isMobileType(x.device.type) && x.latest)
+    if (!mobiles.length) return false
+    if (!mobiles.every((x) => this.getEventEffect(x.latest, name, x.device.type).screenOff)) return false
+    return entries.filter((x) => !this.isMobileType(x.device.type)).every((x) => this.isPcStale(x.latest))
+  }
+
+  /** 某人（不传为全局）的时区与一天的起始小时：persons[].timezone / dayStartHour 优先，其次全局 timezone / dayStartHour */
+  getTimeOptions(name) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const p = name ? this.getPersonConfig(name) : null
+    const tz = String((p && p.timezone) || c.timezone || DEFAULT_TIMEZONE)
+    const hour = Number(p && p.dayStartHour != null ? p.dayStartHour : c.dayStartHour)
+    return {
+      timeZone: getTzFormatter(tz) ? tz : DEFAULT_TIMEZONE,
+      dayStartHour: hour >= 0 && hour < 24 ? Math.floor(hour) : 0,
+    }
+  }
+
+  /** 某天晚上的睡眠推断窗口：当天 SLEEP_WINDOW_START_HOUR 点至次日 SLEEP_WINDOW_END_HOUR 点（此人的时区），dayStartMs 为该天的起始 */
+  getSleepWindow(name, dayStartMs) {
+    const { timeZone, dayStartHour } = this.getTimeOptions(name)
+    const wall = new Date(zonedDate(timeZone, dayStartMs).getTime() - dayStartHour * HOUR_MS)
+    const [y, mo, d] = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()]
+    return {
+      startMs: zonedTimeToMs(timeZone, y, mo, d, CONFIG.SLEEP_WINDOW_START_HOUR),
+      endMs: zonedTimeToMs(timeZone, y, mo, d + 1, CONFIG.SLEEP_WINDOW_END_HOUR),
+    }
+  }
+
+  /**
+   * 推断某晚的睡眠：各设备会话合并为活跃区间（熄屏/噪音不算活跃），取窗口内最长且不短于 sleepMinGapHours 的无活动间隔。
+   * 返回 { bedMs, wakeMs, seconds, bedBefore }，wakeMs 为 null 表示间隔一直持续到窗口结束（或当前时刻）仍未见活动；
+   * 窗口开始后很久才有第一段活动时，视为窗口开始前就睡了，bedMs 为窗口起点、bedBefore 为 true。窗口内没有任何活动或推断不出返回 null
+   */
+  inferSleep(name, events, window) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const minGapMs = (Number(c.sleepMinGapHours) > 0 ? Number(c.sleepMinGapHours) : CONFIG.SLEEP_MIN_GAP_HOURS) * HOUR_MS
+    const active = mergeIntervals(this.buildPersonSessions(name, events, window.startMs, window.endMs).flatMap((x) => x.sessions))
+    if (!active.length) return null
+    const gaps = [{ bedMs: window.startMs, wakeMs: active[0].start, bedBefore: true }]
+    active.forEach((a, i) => gaps.push({ bedMs: a.end, wakeMs: i + 1 < active.length ? active[i + 1].start : null, bedBefore: false }))
+    let best = null
+    for (const { bedMs, wakeMs, bedBefore } of gaps) {
+      const gap = (wakeMs != null ? wakeMs : Math.min(window.endMs, Date.now())) - bedMs
+      if (gap >= minGapMs && (!best || gap > best.gap)) best = { bedMs, wakeMs, bedBefore, gap }
     }
+    return best && { bedMs: best.bedMs, wakeMs: best.wakeMs, seconds: Math.round(best.gap / 1000), bedBefore: best.bedBefore }
+  }
+
+  /** 某时刻所在「一天」（从 dayStartHour 点起算）的起始时间戳；offsetDays 取前后第几天的起始 */
+  getDayStart(ms, name, offsetDays = 0) {
+    const { timeZone, dayStartHour } = this.getTimeOptions(name)
+    const wall = new Date(zonedDate(timeZone, ms).getTime() - dayStartHour * HOUR_MS)
+    return zonedTimeToMs(timeZone, wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + offsetDays, dayStartHour)
+  }
 
-    if (hidePc) return phoneBlock
+  /** 日期标签，如「10-12 周一」（按 dayStartHour 归属的那一天） */
+  fmtDay(ms, name, weekdays = WEEKDAY_NAMES) {
+    const { timeZone, dayStartHour } = this.getTimeOptions(name)
+    const wall = new Date(zonedDate(timeZone, ms).getTime() - dayStartHour * HOUR_MS)
+    return `${String(wall.getUTCMonth() + 1).padStart(2, '0')}-${String(wall.getUTCDate()).padStart(2, '0')} ${weekdays[wall.getUTCDay()]}`
+  }
 
-    let pcBlock
-    if (!pcData) {
-      pcBlock = ['====== 电脑状态 ======', '  暂无数据', `来自：${name} の PC`].join('\n')
+  /**
+   * 解析统计范围：今天/昨天/这周(本周)/YYYY-MM-DD，按 name 的时区与 dayStartHour 划分日期
+   * 返回 { label, startMs, endMs, elapsedSeconds, isWeek, kind, date }，日期非法返回 null；elapsedSeconds 为范围内截至当前的秒数，
+   * kind 为 today / yesterday / week / date（供模板换算标签），date 为 YYYY-MM-DD（仅 kind 为 date 时）
+   */
+  parseReportRange(text, name, nowMs = Date.now()) {
+    const { timeZone, dayStartHour } = this.getTimeOptions(name)
+    const todayStart = this.getDayStart(nowMs, name)
+    let label, startMs, endMs, kind, date
+    let isWeek = false
+    if (text === '今天') {
+      kind = 'today'
+      label = '今天截止目前'
+      startMs = todayStart
+      endMs = this.getDayStart(todayStart, name, 1)
+    } else if (text === '昨天') {
+      kind = 'yesterday'
+      label = '昨天'
+      startMs = this.getDayStart(todayStart, name, -1)
+      endMs = todayStart
+    } else if (text === '这周' || text === '本周') {
+      // 一周从周一开始
+      const weekday = zonedDate(timeZone, todayStart).getUTCDay()
+      kind = 'week'
+      label = '这周截止目前'
+      startMs = this.getDayStart(todayStart, name, -((weekday + 6) % 7))
+      endMs = this.getDayStart(startMs, name, 7)
+      isWeek = true
     } else {
-      const fullWindowTitle = pcData.window_title || '未知窗口'
-      const music = this.parseMusicWindowTitle(fullWindowTitle)
-      let pcContent
-      if (music) {
-        pcContent = `🎵正在听：${music.song}\n▶应用：${music.app}`
+      const m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text || '')
+      if (!m) return null
+      const [y, mo, d] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])]
+      const utc = new Date(Date.UTC(y, mo, d))
+      if (utc.getUTCFullYear() !== y || utc.getUTCMonth() !== mo || utc.getUTCDate() !== d) return null
+      kind = 'date'
+      date = `${m[1]}-${String(m[2]).padStart(2, '0')}-${String(m[3]).padStart(2, '0')}`
+      label = `${date}这天`
+      startMs = zonedTimeToMs(timeZone, y, mo, d, dayStartHour)
+      endMs = this.getDayStart(startMs, name, 1)
+    }
+    const elapsedSeconds = Math.max(1, Math.floor((Math.min(nowMs, endMs) - startMs) / 1000))
+    return { label, startMs, endMs, elapsedSeconds, isWeek, kind, date }
+  }
+
+  /** 「HH:MM」（name 的时区） */
+  fmtClock(ms, name) {
+    const wall = zonedDate(this.getTimeOptions(name).timeZone, ms)
+    return `${String(wall.getUTCHours()).padStart(2, '0')}:${String(wall.getUTCMinutes()).padStart(2, '0')}`
+  }
+
+  /** 事件时间「MM-DD HH:MM」（name 的时区） */
+  fmtTime(ev, name) {
+    if (!ev || !ev.access_time) return '--'
+    const ms = new Date(ev.access_time).getTime()
+    if (isNaN(ms)) return '--'
+    const wall = zonedDate(this.getTimeOptions(name).timeZone, ms)
+    return `${String(wall.getUTCMonth() + 1).padStart(2, '0')}-${String(wall.getUTCDate()).padStart(2, '0')} ${this.fmtClock(ms, name)}`
+  }
+
+  /** 「YYYY-MM-DD HH:MM:SS」（name 的时区），用于导出 */
+  fmtDateTime(ms, name) {
+    const wall = zonedDate(this.getTimeOptions(name).timeZone, ms)
+    const pad = (n) => String(n).padStart(2, '0')
+    return `${wall.getUTCFullYear()}-${pad(wall.getUTCMonth() + 1)}-${pad(wall.getUTCDate())} ${pad(wall.getUTCHours())}:${pad(wall.getUTCMinutes())}:${pad(wall.getUTCSeconds())}`
+  }
+
+  /** 某人输出文字用的语言：persons[].locale > 全局 locale > zh-CN（没有对应语言包时用 zh-CN） */
+  getLocale(name) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const p = name ? this.getPersonConfig(name) : null
+    const locale = (p && p.locale) || c.locale || DEFAULT_LOCALE
+    return TEMPLATE_PACKS[locale] ? locale : DEFAULT_LOCALE
+  }
+
+  /** 某人的文字模板：persons[].templates > 内置个人模板 > 全局 templates > 语言包，语言包缺的键用 zh-CN 补齐；不传 name 为全局模板 */
+  getTemplates(name) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const p = name ? this.getPersonConfig(name) : null
+    const locale = this.getLocale(name)
+    const asObject = (x) => (x && typeof x === 'object' ? x : null)
+    return {
+      ...TEMPLATE_PACKS[DEFAULT_LOCALE],
+      ...TEMPLATE_PACKS[locale],
+      ...asObject(c.templates),
+      ...(DEFAULT_PERSON_TEMPLATES[name] || {})[locale],
+      ...asObject(p && p.templates),
+    }
+  }
+
+  /**
+   * 电脑块的内容行：音乐 / 规则文案 / 应用 + 窗口标题；line(key, vars) 填写模板。
+   * summaryOnly 时不含窗口标题与曲目，应用改为展示分类 category（没有命中分类时传空，仍展示应用名）
+   */
+  formatPcContent(ev, effect, summaryOnly, line, category = '') {
+    const fullWindowTitle = ev.window_title || '未知窗口'
+    const music = this.parseMusicWindowTitle(fullWindowTitle)
+    if (music) return line(summaryOnly ? 'pcMusicSummary' : 'pcMusic', { app: music.app, song: music.song })
+    if (effect.text) return line('pcText', { text: effect.text })
+    if (summaryOnly && category) return line('categorySummary', { category })
+    const browser = this.parseBrowserStyleTitle(fullWindowTitle)
+    const app = effect.rename || (browser ? browser.appName : fullWindowTitle.split(' - ')[0] || '未知')
+    return line(summaryOnly ? 'pcAppSummary' : 'pcApp', { app, title: browser ? browser.windowTitle : fullWindowTitle })
+  }
+
+  /**
+   * 按设备分块，每块只展示一条最新；支持 🎶/🎵 音乐窗口解析为「在听什么歌」。entries 为 getLatestByDevice 的结果。
+   * 每行文字都来自 getTemplates(name)，皮梦的格式只是一份内置个人模板
+   */
+  formatPersonBlock(name, entries) {
+    const t = this.getTemplates(name)
+    const summaryOnly = this.isSummaryOnly(name)
+    const join = (lines) => lines.filter(Boolean).join('\n')
+    const blocks = entries.map(({ device, latest }) => {
+      const vars = { name, deviceType: t.deviceTypes[device.type], device: device.mapped ? device.label : t.fallbackDevices[device.type] || device.label }
+      const line = (key, extra) => fillTemplate(t[key], { ...vars, ...extra })
+      const header = line('deviceHeader')
+      const effect = this.getEventEffect(latest, name, device.type)
+      const isMobile = this.isMobileType(device.type)
+      if (isMobile && !latest) return join([header, t.noData])
+      if (isMobile && effect.hide) return join([header, effect.screenOff ? t.screenOff : t.noData, line('deviceFrom')])
+      if (!latest || effect.hide) return join([header, t.noData, line('deviceFrom')])
+      // 应用分类有 verb 时多一行，如「▶正在学习」；summaryOnly 时用分类名代替应用名
+      const category = this.getAppCategory(this.getStatsAppName(latest, device.type, name))
+      const { verb } = category
+      const categoryLabel = category === OTHER_CATEGORY ? '' : t.categories[category.name] || category.name
+      const ms = new Date(latest.access_time).getTime()
+      Object.assign(vars, {
+        time: this.fmtTime(latest, name),
+        freshness: isNaN(ms) ? '--' : getFreshness(ms, Date.now(), t).text,
+        verb: verb ? t.verbs[verb] || verb : '',
+      })
+      let content
+      if (!isMobile) {
+        content = [line('pcHeader'), this.formatPcContent(latest, effect, summaryOnly, line, categoryLabel)]
       } else {
-        const browser = this.parseBrowserStyleTitle(fullWindowTitle)
-        if (browser) {
-          pcContent = `▶应用：${browser.appName}\n▶窗口标题：${browser.windowTitle}`
+        const music = this.parseMusicWindowTitle((latest.window_title || latest.app || '').trim())
+        if (music) {
+          content = [line('phoneMusicPrefix'), line(summaryOnly ? 'phoneMusicSummary' : 'phoneMusic', { app: music.app, song: music.song })]
         } else {
-          const parts = fullWindowTitle.split(' - ')
-          const appName = parts[0] || '未知'
-          pcContent = `▶应用：${appName}\n▶窗口标题：${fullWindowTitle}`
+          const appLine = summaryOnly && categoryLabel
+            ? line('categorySummary', { category: categoryLabel })
+            : line('phoneApp', { app: effect.rename || this.getDisplayAppNameForPhone(latest) })
+          content = [line('phonePrefix'), effect.text ? line('phoneText', { text: effect.text }) : appLine]
         }
       }
-      pcBlock = [
-        '====== 电脑状态 ======',
-        `💻${name}的电脑正在运行：`,
-        pcContent,
-        `更新时间：${this.fmtTime(pcData)}`,
-        `来自：${name} の PC`
-      ].join('\n')
-    }
-    return phoneBlock + '\n' + pcBlock
+      return join([header, ...content, vars.verb ? line('verb') : '', line('updated'), line('deviceFrom')])
+    })
+    return blocks.join('\n\n')
   }
 
   formatMessageByPerson(name, events) {
+    const t = this.getTemplates(name)
     if (!events || events.length === 0) {
-      return `【${name}】\n  暂无记录\n`
-    }
-    if (name === '皮梦') {
-      const phoneData = events.find((e) => e.machine === PIMENG_PHONE_MACHINE) || null
-      const pcData = events.find((e) => e.machine === PIMENG_PC_MACHINE) || null
-      if (this.isAsleepCondition(phoneData, pcData)) {
-        return `【${name}】\n  ${name}好像睡着了呢\n`
-      }
-      return this.formatPimengMessage(phoneData, pcData)
-    }
-    const phoneData = events.find((e) => this.isPhoneDevice(e.machine)) || null
-    const pcData = HIDE_PC_NAMES.includes(name) ? null : (events.find((e) => !this.isPhoneDevice(e.machine)) || null)
-    if (this.isAsleepCondition(phoneData, pcData)) {
-      return `【${name}】\n  ${name}好像睡着了呢\n`
+      return `${fillTemplate(t.noRecord, { name })}\n`
     }
-    let msg = `【${name}】\n` + this.formatPersonBlock(name, phoneData, pcData, { hidePc: HIDE_PC_NAMES.includes(name) })
-    if (name === '雨核' && phoneData && this.eventContainsKeyword(phoneData, RAINCORE_ZHIBA_KEYWORD)) {
-      msg += '\n雨核在推制霸呢...不要打扰他'
+    const entries = this.getLatestByDevice(name, events)
+    if (this.isAsleepCondition(entries, name)) {
+      return `${fillTemplate(t.asleep, { name })}\n`
     }
+    let msg = [fillTemplate(t.personHeader, { name }), this.formatPersonBlock(name, entries)].filter(Boolean).join('\n')
+    const captions = entries.flatMap(({ device, latest }) => this.getEventEffect(latest, name, device.type).captions)
+    for (const caption of [...new Set(captions)]) msg += `\n${caption}`
     return msg
   }
 
   /**
-   * 皮梦展示格式与 视奸皮梦.js 一致：手机/电脑分块，音乐与应用名映射
-   * phoneData/pcData 为单条 event（含 window_title, access_time 等），可为 null 表示暂无
+   * 图片模式是否开启：groupPolicies[群号].imageMode 优先，其次全局 imageMode。
+   * 可写 true / false，或按指令分别开关 { status, report }（status：状态查询，report：看看xx今天做了什么）
    */
-  formatPimengMessage(phoneData, pcData) {
-    const fmtTime = (ev) => this.fmtTime(ev)
-    let phoneBlock
-    if (!phoneData) {
-      phoneBlock = ['====== 手机状态 ======', '  暂无数据', ''].join('\n')
-    } else {
-      const appNamePimeng = this.getAppNameFromEvent(phoneData)
-      if (this.isNoiseApp(appNamePimeng)) {
-        const text = this.isScreenOffApp(appNamePimeng) ? '熄屏' : '暂无数据'
-        phoneBlock = ['====== 手机状态 ======', `  ${text}`, '来自：皮梦 の iQOO13', ''].join('\n')
-      } else {
-        let phonePrefix, phoneContent
-        const wt = phoneData.window_title || ''
-        const musicPimeng = this.parseMusicWindowTitle(wt)
-        if (musicPimeng) {
-          const { app: appName, song: songName } = musicPimeng
-          phonePrefix = '🎵皮梦正在听音乐：'
-          phoneContent = `▶曲目：${songName}\n▶用${appName}听的`
-        } else {
-          const [appName] = wt.split(' - ')
-          if (appName === '三角洲行动') phoneContent = '得吃'
-          else if (['交互池', '系统桌面', '系统界面组件'].includes(appName)) phoneContent = `神秘应用（采集不准确）「${appName}」`
-          else if (appName === '游戏魔盒') phoneContent = '在打游戏，但是采集不到在打什么神秘游戏'
-          else if (appName === 'PiliPlus') phoneContent = '哔哩哔哩（第三方客户端）'
-          else phoneContent = `▶应用：${appName || '未知应用'}`
-          phonePrefix = '♿️皮梦正在'
-        }
-        phoneBlock = [
-          '====== 手机状态 ======',
-          phonePrefix,
-          phoneContent,
-          `更新时间：${fmtTime(phoneData)}`,
-          '来自：皮梦 の iQOO13',
-          ''
-        ].join('\n')
-      }
-    }
-    let pcBlock
-    if (!pcData) {
-      pcBlock = ['====== 电脑状态 ======', '  暂无数据', '来自：皮梦 の PC'].join('\n')
+  isImageMode(kind, groupId = this.e && this.e.group_id) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const policy = groupId != null ? (c.groupPolicies || {})[String(groupId)] : null
+    for (const mode of [policy && policy.imageMode, c.imageMode]) {
+      if (mode == null) continue
+      if (typeof mode !== 'object') return !!mode
+      if (mode[kind] != null) return !!mode[kind]
+    }
+    return false
+  }
+
+  /** 用渲染器把模板截图成图片，渲染器不可用或失败时返回 null（调用方退回文字） */
+  async renderImage(kind, saveId, data) {
+    try {
+      return (await puppeteer.screenshot(`spy-status-${kind}`, { tplFile: getTemplateFile(kind), saveId, ...data })) || null
+    } catch (e) {
+      logger.warn('[spy-status] 图片渲染失败，改用文字:', kind, e && e.message)
+      return null
+    }
+  }
+
+  /** 状态卡片中的一台设备：图标、当前应用、窗口标题、在听的歌、分类状态与新鲜度；latest 为该设备最新一条事件 */
+  getStatusCardDevice(name, device, latest, summaryOnly) {
+    const typeName = DEVICE_TYPES[device.type]
+    const item = { icon: DEVICE_ICONS[device.type], label: device.label, typeName: device.label === typeName ? '' : typeName }
+    const effect = this.getEventEffect(latest, name, device.type)
+    const ms = latest && latest.access_time ? new Date(latest.access_time).getTime() : NaN
+    const fresh = isNaN(ms) ? null : { fresh: getFreshness(ms), time: this.fmtTime(latest, name) }
+    if (!latest || effect.hide) return { ...item, ...(effect.screenOff ? fresh : null), app: effect.screenOff ? '熄屏' : '暂无数据', off: true }
+    const isMobile = this.isMobileType(device.type)
+    const fullTitle = (isMobile ? latest.window_title || latest.app || '' : latest.window_title || '').trim()
+    const music = this.parseMusicWindowTitle(fullTitle)
+    let app
+    let title = ''
+    if (music) {
+      app = music.app
+    } else if (effect.text) {
+      app = effect.text
+    } else if (isMobile) {
+      app = effect.rename || this.getDisplayAppNameForPhone(latest)
     } else {
-      const fullWindowTitle = pcData.window_title || '未知窗口'
-      const musicPc = this.parseMusicWindowTitle(fullWindowTitle)
-      let pcContent
-      if (musicPc) {
-        pcContent = `🎵正在听：${musicPc.song}\n▶应用：${musicPc.app}`
-      } else {
-        const browserPc = this.parseBrowserStyleTitle(fullWindowTitle)
-        if (browserPc) {
-          pcContent = `▶应用：${browserPc.appName}\n▶窗口标题：${browserPc.windowTitle}`
-        } else {
-          const first = fullWindowTitle.split(' - ')[0] || '未知'
-          pcContent = `▶应用：${first}\n▶窗口标题：${fullWindowTitle}`
-        }
-      }
-      pcBlock = [
-        '====== 电脑状态 ======',
-        '💻皮梦的电脑正在运行：',
-        pcContent,
-        `更新时间：${fmtTime(pcData)}`,
-        '来自：皮梦 の PC'
-      ].join('\n')
+      const browser = this.parseBrowserStyleTitle(fullTitle)
+      app = effect.rename || (browser ? browser.appName : fullTitle.split(' - ')[0]) || '未知'
+      title = browser ? browser.windowTitle : fullTitle
     }
-    return phoneBlock + '\n' + pcBlock
+    const category = this.getAppCategory(this.getStatsAppName(latest, device.type, name))
+    // summaryOnly 时应用名换成分类名（没有命中分类时仍展示应用名）
+    if (summaryOnly && !music && !effect.text && category !== OTHER_CATEGORY) app = category.name
+    return { ...item, ...fresh, app, title: summaryOnly ? '' : title, song: music && !summaryOnly ? music.song : '', verb: category.verb }
+  }
+
+  /**
+   * 状态卡片数据（与 formatMessageByPerson 同口径）：{ name, notice, devices, captions, staleNote }。
+   * result 为 getStatusCached 的 allSettled 结果，blocked 为隐私拦截文案
+   */
+  getStatusCard(name, result, blocked) {
+    const card = { name, notice: '', devices: [], captions: [], staleNote: '' }
+    if (blocked) return { ...card, notice: blocked }
+    if (result.status !== 'fulfilled') return { ...card, notice: `查询失败：${result.reason && result.reason.message}` }
+    const { events, fetchedAt, fallback } = result.value
+    if (fallback) card.staleNote = `数据可能已过期（${Math.max(1, Math.round((Date.now() - fetchedAt) / 60000))}分钟前）`
+    if (!events || events.length === 0) return { ...card, notice: '暂无记录' }
+    const entries = this.getLatestByDevice(name, events)
+    if (this.isAsleepCondition(entries, name)) return { ...card, notice: `${name}好像睡着了呢` }
+    const summaryOnly = this.isSummaryOnly(name)
+    card.devices = entries.map(({ device, latest }) => this.getStatusCardDevice(name, device, latest, summaryOnly))
+    card.captions = [...new Set(entries.flatMap(({ device, latest }) => this.getEventEffect(latest, name, device.type).captions))]
+    return card
   }
 
   /** 指令与名单映射：从 config 读取。时间所有人 不在此处返回，由 query 内从服务端 /api/names 拉取 */
@@ -420,115 +1951,1493 @@ export class SpyStatus extends plugin {
     return p && p.name ? [p.name] : null
   }
 
-  /** 某人是否使用独立 API 源（从 config 的 persons[].apiBase 读取） */
-  getApiBaseForName(name) {
+  /** 昵称或名字 → 名字，不认识返回 null */
+  resolveName(alias) {
+    const key = String(alias || '').trim().toLowerCase()
+    const hit = buildNameIndex(this.spyStatusCfg || loadSpyStatusConfig()).find(([a]) => a === key)
+    return hit ? hit[1] : null
+  }
+
+  /**
+   * 解析一段文本中的名字（可多人，昵称最长匹配，分隔符见 NAME_SEPARATOR_RE）。
+   * 返回 { names, unknown: [{ token, suggestions }] }，不认识的片段附带编辑距离最近的名字
+   */
+  parseNames(text) {
+    const index = buildNameIndex(this.spyStatusCfg || loadSpyStatusConfig())
+    const names = []
+    const unknown = []
+    let rest = String(text || '').trim()
+    while (rest) {
+      const lower = rest.toLowerCase()
+      const hit = index.find(([alias]) => lower.startsWith(alias))
+      let token
+      if (hit) {
+        token = rest.slice(0, hit[0].length)
+        if (!names.includes(hit[1])) names.push(hit[1])
+      } else {
+        token = rest.match(/^.+?(?=和|与|跟|、|,|，|&|\s|$)/)[0]
+        unknown.push({ token, suggestions: this.suggestNames(token, index) })
+      }
+      rest = rest.slice(token.length).replace(NAME_SEPARATOR_RE, '')
+    }
+    return { names, unknown }
+  }
+
+  /** 与 token 编辑距离最近的名字（距离不超过 1，4 字及以上放宽到 2；不会把整个词都换掉，如「你」不提示「核」） */
+  suggestNames(token, index) {
+    const key = token.toLowerCase()
+    const maxDist = key.length >= 4 ? 2 : 1
+    let best = Infinity
+    let result = []
+    for (const [alias, name] of index) {
+      const d = editDistance(key, alias)
+      if (d > maxDist || d > best || d >= Math.min(key.length, alias.length)) continue
+      if (d < best) {
+        best = d
+        result = []
+      }
+      if (!result.includes(name)) result.push(name)
+    }
+    return result
+  }
+
+  /** 有不认识的名字时回复提示；全都猜不出且 quiet 为 true 时不回复并返回 false（闲聊里的「你在干嘛」「看看你今天做了什么」） */
+  async replyUnknownNames(unknown, quiet = false) {
+    const lines = unknown.map(({ token, suggestions }) => (suggestions.length
+      ? `没有找到「${token}」，你是不是想找：${suggestions.join('、')}？`
+      : `没有找到「${token}」哦`))
+    if (quiet && unknown.every((u) => !u.suggestions.length)) return false
+    await this.e.reply(lines.join('\n'), true)
+    return true
+  }
+
+  /** 某人在 config 中的 persons 项 */
+  getPersonConfig(name) {
     const c = this.spyStatusCfg || loadSpyStatusConfig()
     const persons = Array.isArray(c.persons) ? c.persons : []
-    const p = persons.find((x) => x && x.name === name)
+    return persons.find((x) => x && x.name === name) || null
+  }
+
+  /** 是否只展示应用（不展示窗口标题与曲目） */
+  isSummaryOnly(name) {
+    const p = this.getPersonConfig(name)
+    return !!(p && p.summaryOnly)
+  }
+
+  /** 某人的定时隐身时段 [{ text, from, to }]，见 parseInvisibleWindows */
+  getInvisibleWindows(name) {
+    return parseInvisibleWindows(this.getPersonConfig(name))
+  }
+
+  /** ms 时刻（此人的时区）落在 windows 中的哪个隐身时段，返回该时段或 null */
+  findInvisibleWindow(windows, timeZone, ms) {
+    const wall = zonedDate(timeZone, ms)
+    const minutes = wall.getUTCHours() * 60 + wall.getUTCMinutes()
+    return windows.find(({ from, to }) => (from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to)) || null
+  }
+
+  /** 当前时刻（此人的时区）是否落在某人的定时隐身时段内，返回命中的时段字符串或 null */
+  getActiveInvisibleWindow(name, nowMs = Date.now()) {
+    const w = this.findInvisibleWindow(this.getInvisibleWindows(name), this.getTimeOptions(name).timeZone, nowMs)
+    return w ? w.text : null
+  }
+
+  /** 去掉隐身时段内上报的事件：时段结束后，时段内的数据也不出现在状态、时间线、报告、导出、作息与日报中 */
+  dropInvisibleEvents(name, events) {
+    const windows = this.getInvisibleWindows(name)
+    if (!windows.length || !Array.isArray(events)) return events
+    const { timeZone } = this.getTimeOptions(name)
+    return events.filter((ev) => {
+      const ms = new Date(ev && ev.access_time).getTime()
+      return isNaN(ms) || !this.findInvisibleWindow(windows, timeZone, ms)
+    })
+  }
+
+  /** 群访问策略：groupPolicies 中配置了 allow 的群只能查看名单内的人；groupId 为空（私聊）不限制 */
+  isAllowedInGroup(name, groupId) {
+    if (groupId == null) return true
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const policy = (c.groupPolicies || {})[String(groupId)]
+    return !(policy && Array.isArray(policy.allow) && !policy.allow.includes(name))
+  }
+
+  /**
+   * 隐私检查：自助隐身、定时隐身、群访问策略。允许查看返回 null，否则返回给用户的婉拒文案。
+   * groupId 默认取当前消息的群，私聊（或后台任务不传）时不做群策略限制
+   */
+  async getPrivacyBlock(name, groupId = this.e && this.e.group_id) {
+    if (!this.isAllowedInGroup(name, groupId)) return `本群不能查看${name}的状态哦`
+    try {
+      if (await redis.get(INVISIBLE_REDIS_KEY_PREFIX + name)) return `${name}开启了隐身，不给看哦`
+    } catch (e) {
+      logger.warn('[spy-status] 读取隐身状态失败:', name, e && e.message)
+    }
+    const w = this.getActiveInvisibleWindow(name)
+    if (w) return `${name}现在处于隐身时段（${w}），晚点再来吧`
+    return null
+  }
+
+  /**
+   * 单人查询指令的公共前置：认人 → 隐私检查 → 拉取范围内的事件。getRange(name) 按此人的时区返回 { startMs, endMs, label }，
+   * 返回 null 表示日期 dateText 不对。认不出名字返回 false（交给其他插件）；日期不对、被拦截或拉取失败时已回复用户，返回 null。
+   * 成功返回 { name, range, list, rangeSupported }；what 用于日志，如「时间线」
+   */
+  async prepareQuery(rawName, getRange, what, dateText = '') {
+    const name = this.resolveName(rawName)
+    if (!name) return false
+    const t = this.getTemplates(name)
+    const range = getRange(name)
+    if (!range) {
+      await this.e.reply(fillTemplate(t.reportBadDate, { date: dateText }))
+      return null
+    }
+    const blocked = await this.getPrivacyBlock(name)
+    if (blocked) {
+      await this.e.reply(blocked, true)
+      return null
+    }
+    try {
+      const { list, rangeSupported } = await this.fetchEventsInRange(name, range.startMs, range.endMs)
+      return { name, range, list, rangeSupported }
+    } catch (e) {
+      logger.warn(`[spy-status] ${what}事件拉取失败:`, name, e && e.message)
+      await this.e.reply(fillTemplate(t.fetchFailed, { name, label: this.getRangeLabel(range, t, true) || '', error: e && e.message }))
+      return null
+    }
+  }
+
+  /** 过滤掉当前不可查看的人（用于团队/所有人类转发，直接略过不提示） */
+  async filterVisibleNames(names, groupId = this.e && this.e.group_id) {
+    const blocked = await Promise.all(names.map((name) => this.getPrivacyBlock(name, groupId)))
+    return names.filter((_, i) => !blocked[i])
+  }
+
+  /** 开启隐身 / 关闭隐身：按发送者 QQ 找到 persons[].qq 对应的人 */
+  async toggleInvisible() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const c = this.spyStatusCfg
+    const match = (this.e.msg || '').trim().match(/^(开启|关闭)隐身\s*$/)
+    if (!match) return
+    const persons = Array.isArray(c.persons) ? c.persons : []
+    const p = persons.find((x) => x && x.name && x.qq != null && [].concat(x.qq).map(String).includes(String(this.e.user_id)))
+    if (!p) {
+      await this.e.reply('你还没有在 spy-status.yaml 里绑定 QQ（persons[].qq），没法隐身哦', true)
+      return
+    }
+    if (match[1] === '开启') {
+      await redis.set(INVISIBLE_REDIS_KEY_PREFIX + p.name, '1')
+      await this.e.reply(`${p.name}已隐身，现在谁也视奸不到你了`, true)
+    } else {
+      await redis.del(INVISIBLE_REDIS_KEY_PREFIX + p.name)
+      await this.e.reply(`${p.name}已关闭隐身`, true)
+    }
+  }
+
+  /** 某人是否使用独立 API 源（从 config 的 persons[].apiBase 读取） */
+  getApiBaseForName(name) {
+    const p = this.getPersonConfig(name)
     if (p && p.apiBase) return String(p.apiBase).replace(/\/$/, '')
     return CONFIG.API_BASE
   }
 
-  /** 看看xx今天做了什么：整合当天上传数据，按心跳计算设备/应用使用时长 */
+  /** 心跳间隔（秒） */
+  getHeartbeatSeconds() {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    return Number(c.heartbeatIntervalSeconds) > 0 ? Number(c.heartbeatIntervalSeconds) : CONFIG.HEARTBEAT_INTERVAL_SECONDS
+  }
+
+  /** 会话参数：{ gapMs, tailMs }，gapMs 为断开会话的最大间隔，tailMs 为会话最后一条事件计入的时长（一个心跳） */
+  getSessionOptions() {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const heartbeatSec = this.getHeartbeatSeconds()
+    const gapSec = Number(c.sessionGapSeconds) > 0 ? Number(c.sessionGapSeconds) : CONFIG.SESSION_GAP_SECONDS
+    return { gapMs: gapSec * 1000, tailMs: Math.min(heartbeatSec, gapSec) * 1000 }
+  }
+
+  /**
+   * 会话重建：按 access_time 排序，相邻且间隔不超过 gapMs 的同应用事件合并为一个会话。
+   * 应用切换时上一会话结束于下一事件时刻；间隔超限或遇到熄屏/噪音事件时结束于最后一条事件 + tailMs（不越过下一事件）。
+   * 同一时刻的重复上传只计一次；应用名与熄屏/噪音判断按 name 的展示规则。返回 [{ app, start, end, seconds, machine }]，按开始时间升序。
+   * labelOf 可换成别的归并口径（如按曲目），返回 null 的事件视同熄屏/噪音
+   */
+  buildSessions(deviceEvents, deviceType, name, opts = this.getSessionOptions(), labelOf = (ev) =>
+    (this.isNoiseOrScreenOffForStats(ev, deviceType, name) ? null : this.getStatsAppName(ev, deviceType, name))) {
+    const { gapMs, tailMs } = opts
+    const points = []
+    for (const ev of deviceEvents || []) {
+      const t = ev && ev.access_time ? new Date(ev.access_time).getTime() : NaN
+      if (isNaN(t)) continue
+      points.push({ t, app: labelOf(ev), machine: ev.machine })
+    }
+    points.sort((a, b) => a.t - b.t)
+    const sessions = []
+    let cur = null
+    const close = (nextT) => {
+      if (!cur) return
+      const end = nextT != null && nextT - cur.last <= gapMs ? nextT : cur.last + tailMs
+      cur.end = nextT != null ? Math.min(end, nextT) : end
+      sessions.push({ app: cur.app, start: cur.start, end: cur.end, seconds: Math.round((cur.end - cur.start) / 1000), machine: cur.machine })
+      cur = null
+    }
+    for (const p of points) {
+      if (cur && p.app === cur.app && p.t - cur.last <= gapMs) {
+        cur.last = p.t
+        continue
+      }
+      close(p.t)
+      if (p.app != null) cur = { app: p.app, start: p.t, last: p.t, machine: p.machine }
+    }
+    close(null)
+    return sessions
+  }
+
+  /** 将会话裁剪到 [startMs, endMs) 内，丢弃裁剪后为空的会话 */
+  clipSessions(sessions, startMs, endMs) {
+    return sessions
+      .map((s) => {
+        const start = Math.max(s.start, startMs)
+        const end = Math.min(s.end, endMs)
+        return { ...s, start, end, seconds: Math.round((end - start) / 1000) }
+      })
+      .filter((s) => s.end > s.start)
+  }
+
+  /** 按会话汇总应用使用时长，返回 { coveredSeconds, apps: [{ app, count, seconds }] }，count 为会话数，apps 按时长降序 */
+  summarizeSessions(sessions) {
+    const byApp = Object.create(null)
+    let coveredSeconds = 0
+    for (const s of sessions) {
+      const item = byApp[s.app] || (byApp[s.app] = { app: s.app, count: 0, seconds: 0 })
+      item.count += 1
+      item.seconds += s.seconds
+      coveredSeconds += s.seconds
+    }
+    const apps = Object.values(byApp).sort((a, b) => b.seconds - a.seconds)
+    return { coveredSeconds, apps }
+  }
+
+  /** 分类列表：config 的 categories 在前，内置分类在后（useDefaultCategories: false 时不含内置） */
+  resolveCategories() {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    return [...compileCategories(c.categories), ...(c.useDefaultCategories === false ? [] : compileCategories(DEFAULT_CATEGORIES))]
+  }
+
+  /** 浏览器识别条件（compileCategories 的结果）：配置的 browsers 在前，内置的在后（useDefaultBrowsers: false 停用内置） */
+  resolveBrowsers() {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const list = []
+    if (c.browsers && typeof c.browsers === 'object') {
+      if (!browserListCache.has(c.browsers)) browserListCache.set(c.browsers, [{ name: 'browsers', ...c.browsers }])
+      list.push(...compileCategories(browserListCache.get(c.browsers), BROWSER_MATCH_KEYS, '浏览器识别'))
+    }
+    if (c.useDefaultBrowsers !== false) list.push(...compileCategories(DEFAULT_BROWSER_LIST))
+    return list
+  }
+
+  /** 应用（统计用的应用名）是否为浏览器：与分类无关，改名或停用内置分类都不影响 */
+  isBrowserApp(app) {
+    return this.resolveBrowsers().some((x) => x.rules.some((rule) => matchRule(rule, { app })))
+  }
+
+  /** 应用（统计用的应用名）所属分类，都不命中为「其他」 */
+  getAppCategory(app) {
+    const hit = this.resolveCategories().find((x) => x.rules.some((rule) => matchRule(rule, { app })))
+    return hit || OTHER_CATEGORY
+  }
+
+  /** 按分类汇总 summarizeSessions 的 apps：[{ name, kind, seconds, apps }]，按时长倒序 */
+  summarizeCategories(apps) {
+    const byName = new Map()
+    for (const item of apps) {
+      const cat = this.getAppCategory(item.app)
+      const entry = byName.get(cat.name) || byName.set(cat.name, { name: cat.name, kind: cat.kind, seconds: 0, apps: [] }).get(cat.name)
+      entry.seconds += item.seconds
+      entry.apps.push(item)
+    }
+    return [...byName.values()].sort((a, b) => b.seconds - a.seconds)
+  }
+
+  /**
+   * 某人在 [startMs, endMs) 内按设备重建的会话（熄屏类、噪音应用只用于断开会话，不展示且不计入时长/占比）。
+   * 会话不超过当前时刻；隐藏的设备不参与。返回 [{ device, sessions }]，设备顺序同 groupEventsByDevice
+   */
+  buildPersonSessions(name, events, startMs, endMs) {
+    const clipEnd = Math.min(endMs, Date.now())
+    return this.groupEventsByDevice(name, events).map(({ device, events: list }) => ({
+      device,
+      sessions: this.clipSessions(this.buildSessions(list, device.type, name), startMs, clipEnd),
+    }))
+  }
+
+  /**
+   * buildPersonSessions 的结果里此人是否有电脑：登记了电脑 / 笔记本，或范围内有来自未登记电脑的会话。
+   * 没有任何登记时总会带一个空的兜底电脑组，不能据此判断
+   */
+  hasPcSessions(deviceSessions) {
+    return deviceSessions.some((x) => !this.isMobileType(x.device.type) && (x.device.mapped || x.sessions.length > 0))
+  }
+
+  /** 范围内每台设备的会话与应用用时：[{ device, sessions, coveredSeconds, apps }]（报告、日报共用） */
+  getDeviceUsage(name, events, startMs, endMs) {
+    return this.buildPersonSessions(name, events, startMs, endMs).map(({ device, sessions }) => ({ device, sessions, ...this.summarizeSessions(sessions) }))
+  }
+
+  /** 看看xx今天/昨天/YYYY-MM-DD/这周做了什么：整合范围内上传数据，按事件间隔重建会话并统计设备/应用使用时长 */
   async queryToday() {
     this.spyStatusCfg = loadSpyStatusConfig()
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(TODAY_PHRASE_RE)
+    if (!match) return false
+    const { names, unknown } = this.parseNames(match[1])
+    // 一个名字都认不出又猜不出时不打扰（「看看你今天做了什么」这类闲聊），交给其他插件
+    if (unknown.length) return this.replyUnknownNames(unknown, names.length === 0)
+    if (!this.parseReportRange(match[2])) {
+      await this.e.reply(fillTemplate(this.getTemplates(names[0]).reportBadDate, { date: match[2] }))
+      return
+    }
+    // 多人时逐人各发一份报告；统计口径为此人时区下从 dayStartHour 起算的「一天」，今天/这周截止到当前时刻
+    for (const name of names) {
+      const blocked = await this.getPrivacyBlock(name)
+      if (blocked) {
+        await this.e.reply(blocked, true)
+        continue
+      }
+      const range = this.parseReportRange(match[2], name)
+      if (range.startMs > Date.now()) {
+        const t = this.getTemplates(name)
+        await this.e.reply(fillTemplate(t.reportNotYet, { name, label: this.getRangeLabel(range, t) }))
+        continue
+      }
+      await this.reportRange(name, range)
+    }
+  }
+
+  /** 某人在某日期范围内的设备与应用使用报告（合并转发） */
+  async reportRange(name, range) {
     const c = this.spyStatusCfg
+    const { label, startMs, endMs, elapsedSeconds, isWeek } = range
+    const t = this.getTemplates(name)
+    const vars = { name, label: this.getRangeLabel(range, t) }
+    const duration = (seconds) => this.formatDuration(seconds, t)
+    const deviceLabel = (device) => (device.mapped ? device.label : t.deviceTypes[device.type])
+
+    let list
+    let rangeSupported
+    try {
+      ;({ list, rangeSupported } = await this.fetchEventsInRange(name, startMs, endMs))
+    } catch (e) {
+      logger.warn('[spy-status] 范围事件拉取失败:', name, label, e && e.message)
+      await this.e.reply(fillTemplate(t.reportFetchFailed, { ...vars, error: e && e.message }))
+      return
+    }
+
+    // 服务端已按范围过滤过，fetchEventsInRange 再按换算好的 UTC 范围兜底过滤，避免时区不一致导致漏/错
+    const rangeEvents = list || []
+    if (rangeEvents.length === 0) {
+      const todayStart = this.getDayStart(Date.now(), name)
+      const coversToday = startMs <= todayStart && todayStart < endMs
+      if (!rangeSupported && !coversToday) {
+        await this.e.reply(fillTemplate(t.reportTodayOnly, vars))
+      } else {
+        await this.e.reply(fillTemplate(t.reportNoData, vars))
+      }
+      return
+    }
+
+    const deviceSessions = this.getDeviceUsage(name, rangeEvents, startMs, endMs)
+
+    const topApps = isWeek ? (Number(c.weekTopApps) > 0 ? Number(c.weekTopApps) : CONFIG.WEEK_TOP_APPS) : Infinity
+    const buildDeviceBlock = ({ sessions, coveredSeconds, apps }, deviceLabel) => {
+      if (!sessions.length) return { lines: [], coveredSeconds: 0 }
+      const lines = [fillTemplate(isWeek ? t.reportDeviceWeek : t.reportDevice, { device: deviceLabel, count: Math.min(topApps, apps.length) })]
+      apps.slice(0, topApps).forEach((item, i) => {
+        const percent = coveredSeconds > 0 ? ((item.seconds / coveredSeconds) * 100).toFixed(1) : '0'
+        lines.push(fillTemplate(t.reportAppLine, { rank: i + 1, app: item.app, duration: duration(item.seconds), percent }))
+      })
+      return { lines, coveredSeconds }
+    }
+
+    const deviceBlocks = deviceSessions.map((usage) => ({ device: usage.device, ...buildDeviceBlock(usage, deviceLabel(usage.device)) }))
+    const totalCovered = deviceBlocks.reduce((sum, b) => sum + (b.coveredSeconds || 0), 0)
+    const totalPercent = Math.min(100, (totalCovered / elapsedSeconds) * 100)
+    const categories = this.summarizeCategories(deviceSessions.flatMap((x) => x.apps))
+    // 图片模式（只做单日）：一张日报卡片，渲染失败时继续发文字
+    if (!isWeek && this.isImageMode('report')) {
+      const card = this.getReportCard(name, range, deviceSessions, categories, totalPercent)
+      const img = await this.renderImage('report', `${name}-${startMs}`, card)
+      if (img) return this.sendToChat(img)
+    }
+
+    // 多条消息合并转发（总览 + 每台设备一条），直接发送不回复用户
+    const forwardBlocks = [fillTemplate(isWeek ? t.reportHeaderWeek : t.reportHeader, { ...vars, percent: totalPercent.toFixed(1) })]
+    if (isWeek) {
+      // 周报：每日合计（各设备/合计），未到的日子不展示
+      const dayLines = [t.reportDaily]
+      for (let dayStart = startMs; dayStart < endMs && dayStart <= Date.now(); dayStart = this.getDayStart(dayStart, name, 1)) {
+        const dayEnd = this.getDayStart(dayStart, name, 1)
+        let daySec = 0
+        const parts = deviceSessions.map(({ device, sessions }) => {
+          const sec = this.summarizeSessions(this.clipSessions(sessions, dayStart, dayEnd)).coveredSeconds
+          daySec += sec
+          return fillTemplate(t.reportDayDevice, { device: deviceLabel(device), duration: duration(sec) })
+        })
+        dayLines.push(fillTemplate(t.reportDayLine, { day: this.fmtDay(dayStart, name, t.weekdays), devices: parts.join(' '), duration: duration(daySec) }))
+      }
+      forwardBlocks.push(dayLines.join('\n'))
+    }
+    if (categories.length) {
+      forwardBlocks.push([t.reportCategories, ...categories.map((cat, i) => fillTemplate(t.reportAppLine, {
+        rank: i + 1,
+        app: t.categories[cat.name] || cat.name,
+        duration: duration(cat.seconds),
+        percent: totalCovered > 0 ? ((cat.seconds / totalCovered) * 100).toFixed(1) : '0',
+      }))].join('\n'))
+    }
+    for (const b of deviceBlocks) {
+      forwardBlocks.push((b.lines || []).join('\n') || fillTemplate(t.reportDeviceEmpty, { device: deviceLabel(b.device) }))
+    }
+    await this.sendForward(forwardBlocks, fillTemplate(t.reportTitle, { name, label: this.getRangeLabel(range, t, true) }))
+  }
+
+  /** 范围标签（按模板）：正文用 rangeToday 等，forTitle 时今天 / 这周改用 rangeTitleToday / rangeTitleWeek */
+  getRangeLabel(range, t, forTitle = false) {
+    const key = { today: 'Today', yesterday: 'Yesterday', week: 'Week', date: 'Date' }[range.kind]
+    if (!key) return range.label
+    return fillTemplate((forTitle && t[`rangeTitle${key}`]) || t[`range${key}`], { date: range.date })
+  }
+
+  /**
+   * 单日日报卡片数据：分类与每台设备的堆叠条（前 CARD_TOP_APPS 个应用 + 其他），以及每台设备按小时的活跃度条。
+   * 活跃度条从此人一天的起点（dayStartHour）开始，每小时一格，透明度为该小时的使用占比；还没到的小时画成虚线格
+   */
+  getReportCard(name, range, deviceSessions, categories, totalPercent) {
+    const { label, startMs, endMs } = range
+    const nowMs = Date.now()
+    const hours = Math.round((endMs - startMs) / HOUR_MS)
+    const toSegments = (items, total) => {
+      const top = items.slice(0, CARD_TOP_APPS).map((x, i) => ({ name: x.name, seconds: x.seconds, color: CARD_COLORS[i % CARD_COLORS.length] }))
+      const rest = items.slice(CARD_TOP_APPS).reduce((sum, x) => sum + x.seconds, 0)
+      if (rest > 0) top.push({ name: '其他', seconds: rest, color: CARD_OTHER_COLOR })
+      return top.map((x) => ({ ...x, pct: total > 0 ? ((x.seconds / total) * 100).toFixed(2) : '0', duration: this.formatDuration(x.seconds) }))
+    }
+    const totalCovered = deviceSessions.reduce((sum, x) => sum + x.coveredSeconds, 0)
+    const devices = deviceSessions.map(({ device, sessions, coveredSeconds, apps }) => ({
+      icon: DEVICE_ICONS[device.type],
+      label: this.getDeviceStatsLabel(device),
+      total: this.formatDuration(coveredSeconds),
+      segments: toSegments(apps.map((x) => ({ name: x.app, seconds: x.seconds })), coveredSeconds),
+      strip: Array.from({ length: hours }, (_, h) => {
+        const hourStart = startMs + h * HOUR_MS
+        if (hourStart >= nowMs) return { future: true }
+        const sec = this.summarizeSessions(this.clipSessions(sessions, hourStart, hourStart + HOUR_MS)).coveredSeconds
+        return { alpha: sec > 0 ? (0.2 + 0.8 * Math.min(1, sec / 3600)).toFixed(2) : '0.06' }
+      }),
+    }))
+    return {
+      title: `${name}${label.replace('截止目前', '')}`,
+      percent: totalPercent.toFixed(1),
+      total: this.formatDuration(totalCovered),
+      categories: toSegments(categories, totalCovered),
+      devices,
+      // 每 6 小时一个刻度，宽度按实际小时数（夏令时切换日为 23 / 25 小时）
+      axis: Array.from({ length: Math.ceil(hours / 6) }, (_, i) => ({
+        text: this.fmtClock(startMs + i * 6 * HOUR_MS, name),
+        pct: ((Math.min(6, hours - i * 6) / hours) * 100).toFixed(2),
+      })),
+    }
+  }
+
+  /** xx今天的时间线：按会话列出今天各设备的使用时间段 */
+  async queryTimeline() {
+    this.spyStatusCfg = loadSpyStatusConfig()
     const raw = (this.e.msg || '').trim()
-    const match = raw.match(/^看看(.+?)今天做了什么\s*$/)
+    const match = raw.match(/^(.+?)今天的时间线\s*$/)
     if (!match) return
-    const name = match[1].trim()
-    const heartbeatSec = Number(c.heartbeatIntervalSeconds) > 0 ? Number(c.heartbeatIntervalSeconds) : CONFIG.HEARTBEAT_INTERVAL_SECONDS
-    // 统计口径：按北京时间今天 00:00 到当前时刻（截止目前）
-    const BEIJING_OFFSET_MS = 8 * 60 * 60 * 1000
-    const nowMs = Date.now()
-    const bj = new Date(nowMs + BEIJING_OFFSET_MS)
-    const y = bj.getUTCFullYear()
-    const m = bj.getUTCMonth()
-    const d = bj.getUTCDate()
-    const startMs = Date.UTC(y, m, d, 0, 0, 0, 0) - BEIJING_OFFSET_MS
-    const endMs = startMs + 24 * 60 * 60 * 1000
-    const elapsedSeconds = Math.max(1, Math.floor((nowMs - startMs) / 1000))
+    const prepared = await this.prepareQuery(match[1], (name) => this.parseReportRange('今天', name), '时间线')
+    if (!prepared) return prepared
+    const { name, range, list } = prepared
+    if (!list.length) {
+      await this.e.reply(`${name}今天还没有上传过数据呢，视奸不到哦`)
+      return
+    }
 
-    let list
+    const forwardBlocks = [`这是${name}今天的时间线（不足${Math.round(CONFIG.TIMELINE_MIN_SECONDS / 60)}分钟的片段已省略）`]
+    for (const { device, sessions: deviceSessions } of this.buildPersonSessions(name, list, range.startMs, range.endMs)) {
+      const sessions = deviceSessions.filter((s) => s.seconds >= CONFIG.TIMELINE_MIN_SECONDS)
+      const lines = [`▶${this.getDeviceStatsLabel(device)}`]
+      if (!sessions.length) lines.push('  暂无数据')
+      for (const s of sessions) {
+        lines.push(`${this.fmtClock(s.start, name)}–${this.fmtClock(s.end, name)} ${s.app}`)
+      }
+      forwardBlocks.push(lines.join('\n'))
+    }
+    await this.sendForward(forwardBlocks, `${name}今天的时间线`)
+  }
+
+  /** xx今天摸鱼指数：娱乐（kind: fun）时长 / (娱乐 + 正事（kind: work）) × 100 */
+  async querySlackIndex() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(/^(.+?)今天的?摸鱼指数\s*$/)
+    if (!match) return
+    const prepared = await this.prepareQuery(match[1], (name) => this.parseReportRange('今天', name), '摸鱼指数')
+    if (!prepared) return prepared
+    const { name, range, list } = prepared
+    const apps = this.getDeviceUsage(name, list, range.startMs, range.endMs).flatMap((x) => x.apps)
+    const categories = this.summarizeCategories(apps)
+    const sumKind = (kind) => categories.filter((cat) => cat.kind === kind)
+    const fun = sumKind('fun')
+    const work = sumKind('work')
+    const funSeconds = fun.reduce((sum, cat) => sum + cat.seconds, 0)
+    const workSeconds = work.reduce((sum, cat) => sum + cat.seconds, 0)
+    if (funSeconds + workSeconds === 0) {
+      await this.e.reply(`${name}今天还没有娱乐或学习/工作的记录，算不出摸鱼指数`, true)
+      return
+    }
+    const index = Math.round((funSeconds / (funSeconds + workSeconds)) * 100)
+    const comment = index >= 80 ? '摸鱼大师' : index >= 50 ? '正在摸鱼' : index >= 20 ? '偶尔摸鱼' : '卷王'
+    const detail = (list) => list.map((cat) => `${cat.name} ${this.formatDuration(cat.seconds)}`).join('、')
+    await this.e.reply([
+      `🐟${name}今天的摸鱼指数：${index}（${comment}）`,
+      `娱乐 ${this.formatDuration(funSeconds)}${fun.length ? `（${detail(fun)}）` : ''}`,
+      `正事 ${this.formatDuration(workSeconds)}${work.length ? `（${detail(work)}）` : ''}`,
+    ].join('\n'), true)
+  }
+
+  /** xx今天/这周听了什么歌：曲目按首次播放顺序，summaryOnly 的人只给总时长与播放器 */
+  async querySongs() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(/^(.+?)\s*(今天|昨天|这周|本周|\d{4}-\d{1,2}-\d{1,2})\s*听了(?:什么|哪些)歌\s*$/)
+    if (!match) return
+    const prepared = await this.prepareQuery(match[1], (name) => this.parseReportRange(match[2], name), '听歌记录', match[2])
+    if (!prepared) return prepared
+    const { name, range, list } = prepared
+    const label = range.label.replace('截止目前', '')
+    const { totalSeconds, songs, players } = this.getListeningHistory(name, list, range.startMs, range.endMs)
+    if (!songs.length) {
+      await this.e.reply(`${name}${label}没有听歌记录哦`, true)
+      return
+    }
+    const top = songs.reduce((a, b) => (b.plays > a.plays || (b.plays === a.plays && b.seconds > a.seconds) ? b : a))
+    const playerText = players.map((x) => `${x.app} ${this.formatDuration(x.seconds)}`).join('、')
+    if (this.isSummaryOnly(name)) {
+      await this.e.reply(`🎵${name}${label}听歌共${this.formatDuration(totalSeconds)}\n播放器：${playerText}`, true)
+      return
+    }
+    const forwardBlocks = [[
+      `🎵${name}${label}听了${songs.length}首歌，共${this.formatDuration(totalSeconds)}`,
+      `最常听：${top.song}（${top.plays}次，${this.formatDuration(top.seconds)}）`,
+      `播放器：${playerText}`,
+    ].join('\n')]
+    const shown = songs.slice(0, CONFIG.SONG_LIST_LIMIT)
+    // 每 20 首一条，避免单条消息过长
+    for (let i = 0; i < shown.length; i += 20) {
+      forwardBlocks.push(shown.slice(i, i + 20).map((x, j) =>
+        `${i + j + 1}.${x.song} ${this.formatDuration(x.seconds)}${x.plays > 1 ? `（${x.plays}次）` : ''}`).join('\n'))
+    }
+    if (songs.length > shown.length) forwardBlocks.push(`……还有${songs.length - shown.length}首`)
+    await this.sendForward(forwardBlocks, `${name}${label}听了什么歌`)
+  }
+
+  /** xx今天在浏览器里干了什么：各网站时长与最常看的页面（browserSitesOnly 或 summaryOnly 时只列网站） */
+  async queryBrowser() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const c = this.spyStatusCfg
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(/^(.+?)今天在浏览器里干了(?:什么|啥)\s*$/)
+    if (!match) return
+    const prepared = await this.prepareQuery(match[1], (name) => this.parseReportRange('今天', name), '浏览器记录')
+    if (!prepared) return prepared
+    const { name, range, list } = prepared
+    const { totalSeconds, sites, pages } = this.getBrowserHistory(name, list, range.startMs, range.endMs)
+    if (!sites.length) {
+      await this.e.reply(`${name}今天没有用过浏览器哦`, true)
+      return
+    }
+    const pct = (sec) => (totalSeconds > 0 ? ((sec / totalSeconds) * 100).toFixed(1) : '0')
+    const forwardBlocks = [
+      `🌐${name}今天在浏览器里待了${this.formatDuration(totalSeconds)}`,
+      ['▶网站', ...sites.map((x, i) => `${i + 1}.${x.site} 用了${this.formatDuration(x.seconds)} 占比${pct(x.seconds)}%`)].join('\n'),
+    ]
+    if (!c.browserSitesOnly && !this.isSummaryOnly(name)) {
+      forwardBlocks.push(['▶最常看的页面', ...pages.slice(0, CONFIG.BROWSER_TOP_PAGES)
+        .map((x, i) => `${i + 1}.【${x.site}】${x.page} ${this.formatDuration(x.seconds)}`)].join('\n'))
+    }
+    await this.sendForward(forwardBlocks, `${name}今天在浏览器里干了什么`)
+  }
+
+  /** xx昨晚几点睡的 / xx这周作息：逐晚推断入睡与起床时间（这周为起床日落在本周的各晚） */
+  async querySleep() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(/^(.+?)(昨晚(?:几点|什么时候)睡的?|(?:这周|本周)的?作息)\s*[?？]*$/)
+    if (!match) return
+    const isWeek = match[2].includes('作息')
+    // 拉取范围为各晚睡眠窗口的并集
+    const getNights = (name) => {
+      const todayStart = this.getDayStart(Date.now(), name)
+      const firstDay = isWeek ? this.getDayStart(this.parseReportRange('这周', name).startMs, name, -1) : this.getDayStart(todayStart, name, -1)
+      const nights = []
+      for (let day = firstDay; day < todayStart; day = this.getDayStart(day, name, 1)) {
+        nights.push({ day, window: this.getSleepWindow(name, day) })
+      }
+      return { nights, startMs: nights[0].window.startMs, endMs: nights[nights.length - 1].window.endMs }
+    }
+    const prepared = await this.prepareQuery(match[1], getNights, '作息')
+    if (!prepared) return prepared
+    const { name, list, range: { nights } } = prepared
+    for (const night of nights) night.sleep = this.inferSleep(name, list, night.window)
+    const fmtWake = (sleep) => (sleep.wakeMs != null ? `${this.fmtClock(sleep.wakeMs, name)} 起` : '还没起（或没有数据）')
+
+    if (!isWeek) {
+      const { sleep } = nights[nights.length - 1]
+      if (!sleep) {
+        await this.e.reply(`没看出${name}昨晚什么时候睡的（没有数据，或者通宵了？）`, true)
+        return
+      }
+      const wake = sleep.wakeMs != null ? `${this.fmtClock(sleep.wakeMs, name)} 起床` : '现在还没起床'
+      const bed = sleep.bedBefore ? `${this.fmtClock(sleep.bedMs, name)} 之前就睡了` : `${this.fmtClock(sleep.bedMs, name)} 睡的`
+      await this.e.reply(`🛏️${name}昨晚 ${bed}，${wake}，${sleep.wakeMs != null ? '' : '已经'}睡了${sleep.bedBefore ? '不止' : ''}${this.formatDuration(sleep.seconds)}`, true)
+      return
+    }
+
+    const known = nights.filter((x) => x.sleep)
+    if (!known.length) {
+      await this.e.reply(`${name}这周还看不出作息（没有数据，或者天天通宵？）`, true)
+      return
+    }
+    const lines = [`🛏️${name}这周作息`]
+    for (const { day, sleep } of nights) {
+      lines.push(sleep
+        ? `${this.fmtDay(day, name)}晚：${this.fmtClock(sleep.bedMs, name)}${sleep.bedBefore ? ' 之前' : ''} 睡，${fmtWake(sleep)}，睡了${sleep.bedBefore ? '不止' : ''}${this.formatDuration(sleep.seconds)}`
+        : `${this.fmtDay(day, name)}晚：看不出来`)
+    }
+    const withWake = known.filter((x) => x.sleep.wakeMs != null)
+    if (withWake.length) {
+      lines.push(`平均睡眠：${this.formatDuration(withWake.reduce((a, x) => a + x.sleep.seconds, 0) / withWake.length)}`)
+    }
+    // 入睡时间按相对窗口起点（当晚 18:00）的偏移求平均与最晚，避免跨零点算错；窗口开始前就睡了的晚上不知道入睡时间，不参与
+    const withBed = known.filter((x) => !x.sleep.bedBefore)
+    if (withBed.length) {
+      const offsets = withBed.map((x) => x.sleep.bedMs - x.window.startMs)
+      const avgOffset = offsets.reduce((a, b) => a + b, 0) / offsets.length
+      const latest = withBed[offsets.indexOf(Math.max(...offsets))]
+      lines.push(`平均入睡：${this.fmtClock(withBed[0].window.startMs + avgOffset, name)}`)
+      lines.push(`最晚入睡：${this.fmtDay(latest.day, name)}晚 ${this.fmtClock(latest.sleep.bedMs, name)}`)
+    }
+    await this.e.reply(lines.join('\n'), true)
+  }
+
+  /** 今日视奸排行：团队（或所有人）今日总时长、手机/电脑时长、最长单次会话排行与团队最常用应用，拉取失败的成员单独列出 */
+  async queryRank() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const c = this.spyStatusCfg
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(/^今日视奸排行(所有人)?\s*$/)
+    if (!match) return
+    let names
+    if (match[1]) {
+      try {
+        names = await this.fetchNames()
+      } catch (e) {
+        logger.error('[spy-status] 今日视奸排行：获取名单失败', e && e.message)
+        await this.e.reply('获取所有人名单失败，请确认服务端已启动且 ' + CONFIG.API_BASE + ' 可访问。')
+        return
+      }
+    } else {
+      names = Array.isArray(c.teamNames) ? c.teamNames : []
+    }
+    names = await this.filterVisibleNames(names || [])
+    if (names.length === 0) {
+      await this.e.reply('没有可以排行的成员（teamNames 为空或都隐身了）')
+      return
+    }
+
+    const { concurrency } = this.getCacheOptions()
+    const results = await mapWithConcurrency(names, concurrency, (name) => this.fetchTodayEvents(name))
+    const members = []
+    const failed = []
+    const teamApps = Object.create(null)
+    results.forEach((r, i) => {
+      const name = names[i]
+      if (r.status === 'rejected') {
+        logger.warn('[spy-status] 排行事件拉取失败:', name, r.reason && r.reason.message)
+        failed.push(`${name}：${(r.reason && r.reason.message) || '未知错误'}`)
+        return
+      }
+      // 每人按自己的时区与 dayStartHour 计「今天」
+      const range = this.parseReportRange('今天', name)
+      const deviceSessions = this.buildPersonSessions(name, r.value, range.startMs, range.endMs)
+      const isMobile = (x) => this.isMobileType(x.device.type)
+      const hidePc = !this.hasPcSessions(deviceSessions)
+      const phone = this.summarizeSessions(deviceSessions.filter(isMobile).flatMap((x) => x.sessions))
+      const pc = this.summarizeSessions(deviceSessions.filter((x) => !isMobile(x)).flatMap((x) => x.sessions))
+      const longest = deviceSessions.flatMap((x) => x.sessions).reduce((a, b) => (!a || b.seconds > a.seconds ? b : a), null)
+      for (const item of [...phone.apps, ...pc.apps]) {
+        const t = teamApps[item.app] || (teamApps[item.app] = { app: item.app, seconds: 0, people: new Set() })
+        t.seconds += item.seconds
+        t.people.add(name)
+      }
+      members.push({ name, hidePc, phoneSeconds: phone.coveredSeconds, pcSeconds: pc.coveredSeconds, totalSeconds: phone.coveredSeconds + pc.coveredSeconds, longest })
+    })
+
+    const rankLines = (title, key, fmt) => {
+      const sorted = members.filter((m) => m[key] > 0).sort((a, b) => b[key] - a[key])
+      if (!sorted.length) return [title, '  暂无数据']
+      return [title, ...sorted.map((m, i) => `${i + 1}.${m.name} ${fmt(m)}`)]
+    }
+    const { timeZone } = this.getTimeOptions()
+    const forwardBlocks = [`今日视奸排行（${timeZone} ${this.fmtClock(this.getDayStart(Date.now()))}–${this.fmtClock(Date.now())}）`]
+    forwardBlocks.push(rankLines('▶总时长榜', 'totalSeconds', (m) => m.hidePc
+      ? `共${this.formatDuration(m.totalSeconds)}（手机）`
+      : `共${this.formatDuration(m.totalSeconds)}（手机${this.formatDuration(m.phoneSeconds)} / 电脑${this.formatDuration(m.pcSeconds)}）`).join('\n'))
+    forwardBlocks.push([
+      ...rankLines('▶手机榜', 'phoneSeconds', (m) => this.formatDuration(m.phoneSeconds)),
+      '',
+      ...rankLines('▶电脑榜', 'pcSeconds', (m) => this.formatDuration(m.pcSeconds)),
+    ].join('\n'))
+    for (const m of members) m.longestSeconds = m.longest ? m.longest.seconds : 0
+    forwardBlocks.push(rankLines('▶最长单次会话榜', 'longestSeconds', (m) =>
+      `${m.longest.app} ${this.formatDuration(m.longest.seconds)}（${this.fmtClock(m.longest.start, m.name)}–${this.fmtClock(m.longest.end, m.name)}）`).join('\n'))
+    const appLines = Object.values(teamApps).sort((a, b) => b.seconds - a.seconds).slice(0, 10)
+      .map((t, i) => `${i + 1}.${t.app} 共${this.formatDuration(t.seconds)}（${t.people.size}人）`)
+    forwardBlocks.push(['▶团队今日最常用应用', ...(appLines.length ? appLines : ['  暂无数据'])].join('\n'))
+    if (failed.length) forwardBlocks.push(['▶查询失败', ...failed].join('\n'))
+
+    await this.sendForward(forwardBlocks, match[1] ? '所有人今日视奸排行' : '今日视奸排行')
+  }
+
+  /**
+   * 对比xx和yy今天/昨天/这周：两人或多人并排对比总时长（手机 / 电脑）、各自常用应用、共同使用的应用与同时在线的时段。
+   * 统计范围统一按第一个人的时区与 dayStartHour 划分，保证大家比的是同一段时间；各人按自己的数据源拉取
+   */
+  async queryCompare() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const match = (this.e.msg || '').trim().match(COMPARE_PHRASE_RE)
+    if (!match) return false
+    const { names, unknown } = this.parseNames(match[1])
+    if (unknown.length) return this.replyUnknownNames(unknown, names.length === 0)
+    if (names.length < 2) {
+      await this.e.reply('至少要两个人才能对比哦，如「对比雨核和音落今天」')
+      return
+    }
+    const range = this.parseReportRange(match[2], names[0])
+    if (!range) {
+      await this.e.reply(`日期「${match[2]}」不对哦，格式为 YYYY-MM-DD`)
+      return
+    }
+    if (range.startMs > Date.now()) {
+      await this.e.reply(`${range.label}还没到呢，视奸不到哦`)
+      return
+    }
+    const blocked = (await Promise.all(names.map((name) => this.getPrivacyBlock(name)))).filter(Boolean)
+    if (blocked.length) {
+      await this.e.reply(blocked.join('\n'), true)
+      return
+    }
+
+    const { label, startMs, endMs, isWeek } = range
+    const { concurrency } = this.getCacheOptions()
+    const results = await mapWithConcurrency(names, concurrency, (name) => this.fetchEventsInRange(name, startMs, endMs))
+    const members = []
+    const failed = []
+    results.forEach((r, i) => {
+      const name = names[i]
+      if (r.status === 'rejected') {
+        logger.warn('[spy-status] 对比事件拉取失败:', name, r.reason && r.reason.message)
+        failed.push(`${name}：${(r.reason && r.reason.message) || '未知错误'}`)
+        return
+      }
+      const deviceSessions = this.buildPersonSessions(name, r.value.list, startMs, endMs)
+      const isMobile = (x) => this.isMobileType(x.device.type)
+      const sessions = deviceSessions.flatMap((x) => x.sessions)
+      const phone = this.summarizeSessions(deviceSessions.filter(isMobile).flatMap((x) => x.sessions))
+      const pc = this.summarizeSessions(deviceSessions.filter((x) => !isMobile(x)).flatMap((x) => x.sessions))
+      members.push({
+        name,
+        hidePc: !this.hasPcSessions(deviceSessions),
+        phoneSeconds: phone.coveredSeconds,
+        pcSeconds: pc.coveredSeconds,
+        totalSeconds: phone.coveredSeconds + pc.coveredSeconds,
+        apps: this.summarizeSessions(sessions).apps,
+        active: mergeIntervals(sessions),
+      })
+    })
+    if (members.length < 2) {
+      await this.e.reply(['对比失败，拉取不到足够的数据：', ...failed].join('\n'))
+      return
+    }
+
+    const title = `${members.map((m) => m.name).join(' vs ')} ${label}`
+    const timeZones = new Set(names.map((name) => this.getTimeOptions(name).timeZone))
+    const forwardBlocks = [timeZones.size > 1 ? `${title}（按${names[0]}的时区 ${this.getTimeOptions(names[0]).timeZone}）` : title]
+    forwardBlocks.push(['▶总时长', ...members.map((m) => m.hidePc
+      ? `${m.name} 共${this.formatDuration(m.totalSeconds)}（手机）`
+      : `${m.name} 共${this.formatDuration(m.totalSeconds)}（手机${this.formatDuration(m.phoneSeconds)} / 电脑${this.formatDuration(m.pcSeconds)}）`)].join('\n'))
+    for (const m of members) {
+      const lines = m.apps.slice(0, CONFIG.COMPARE_TOP_APPS).map((item, i) => `${i + 1}.${item.app} ${this.formatDuration(item.seconds)}`)
+      forwardBlocks.push([`▶${m.name}的常用应用`, ...(lines.length ? lines : ['  暂无数据'])].join('\n'))
+    }
+
+    // 共同使用的应用：每个人都用过的应用，按合计时长排序
+    const byApp = members.map((m) => new Map(m.apps.map((item) => [item.app, item.seconds])))
+    const shared = members[0].apps.map((item) => item.app).filter((app) => byApp.every((map) => map.has(app)))
+      .map((app) => ({ app, seconds: byApp.map((map) => map.get(app)) }))
+      .sort((a, b) => b.seconds.reduce((x, y) => x + y, 0) - a.seconds.reduce((x, y) => x + y, 0))
+    const sharedLines = shared.slice(0, CONFIG.COMPARE_TOP_APPS)
+      .map((x) => `${x.app}：${members.map((m, i) => `${m.name} ${this.formatDuration(x.seconds[i])}`).join(' / ')}`)
+    forwardBlocks.push(['▶共同使用的应用', ...(sharedLines.length ? sharedLines : ['  没有都用过的应用'])].join('\n'))
+
+    // 一起摸鱼的时段：所有人都在用设备的时间交集，不足 TIMELINE_MIN_SECONDS 的片段略去
+    const together = members.slice(1).reduce((acc, m) => intersectIntervals(acc, m.active), members[0].active)
+      .filter((x) => x.end - x.start >= CONFIG.TIMELINE_MIN_SECONDS * 1000)
+    const togetherSeconds = together.reduce((sum, x) => sum + Math.round((x.end - x.start) / 1000), 0)
+    const fmtSpan = (x) => `${isWeek ? `${this.fmtDay(x.start, names[0])} ` : ''}${this.fmtClock(x.start, names[0])}–${this.fmtClock(x.end, names[0])}（${this.formatDuration(Math.round((x.end - x.start) / 1000))}）`
+    const togetherLines = together.slice(0, CONFIG.COMPARE_TOGETHER_LIMIT).map(fmtSpan)
+    if (together.length > CONFIG.COMPARE_TOGETHER_LIMIT) togetherLines.push(`……还有${together.length - CONFIG.COMPARE_TOGETHER_LIMIT}段`)
+    forwardBlocks.push(together.length
+      ? [`▶一起摸鱼的时段（共${this.formatDuration(togetherSeconds)}）`, ...togetherLines].join('\n')
+      : '▶一起摸鱼的时段\n  没有同时在线的时候')
+    if (failed.length) forwardBlocks.push(['▶查询失败', ...failed].join('\n'))
+
+    await this.sendForward(forwardBlocks, `${members.map((m) => m.name).join('与')}${label.replace('截止目前', '')}对比`)
+  }
+
+  /** 已配置的数据源：数据源标识 → { src, names }（默认 server 源总是包含在内） */
+  getConfiguredSources() {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const persons = Array.isArray(c.persons) ? c.persons : []
+    const names = [...new Set([...persons.map((p) => p && p.name).filter(Boolean), ...(Array.isArray(c.teamNames) ? c.teamNames : [])])]
+    const sources = new Map([[CONFIG.API_BASE, { src: { type: 'server', apiBase: CONFIG.API_BASE }, names: [] }]])
+    for (const name of names) {
+      const src = this.getSourceForName(name)
+      const adapter = SOURCE_ADAPTERS[src.type]
+      const key = adapter ? adapter.key(src) : `${src.type}:?`
+      if (!sources.has(key)) sources.set(key, { src, names: [] })
+      sources.get(key).names.push(name)
+    }
+    return sources
+  }
+
+  /** spy状态诊断：逐个数据源直接探测（不经重试与熔断），并列出熔断状态与每人最近一次成功拉取 */
+  async diagnose() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const fmtAgo = (ms) => (ms ? `${Math.max(0, Math.round((Date.now() - ms) / 1000))}秒前` : '无')
+    const blocks = []
+    for (const [key, { src, names }] of this.getConfiguredSources()) {
+      const t0 = Date.now()
+      let probe
+      try {
+        await this.getSourceAdapter(src).probe(this, src, names[0])
+        probe = `✅正常 ${Date.now() - t0}ms`
+      } catch (e) {
+        probe = `❌${(e && e.message) || e}（${Date.now() - t0}ms）`
+      }
+      const health = getSourceHealth(key)
+      const breaker = health.openUntil > Date.now()
+        ? `熔断中（剩余${Math.ceil((health.openUntil - Date.now()) / 1000)}秒）`
+        : (health.failures > 0 ? `半开（连续失败${health.failures}次）` : '正常')
+      const lines = [
+        `▶${key}（${src.type}）`,
+        `探测：${probe}`,
+        `熔断：${breaker}`,
+        `上次成功：${fmtAgo(health.lastOkAt)}${health.lastLatencyMs != null ? `（${health.lastLatencyMs}ms）` : ''}`,
+      ]
+      if (health.lastError) lines.push(`最近错误：${health.lastError}（${fmtAgo(health.lastErrorAt)}）`)
+      if (names.length) {
+        const cached = names.map((n) => `${n}（${fmtAgo((statusCache.get(`${key}|${n}`) || {}).fetchedAt)}）`)
+        lines.push(`人员及最近成功拉取：${cached.join('、')}`)
+      }
+      blocks.push(lines.join('\n'))
+    }
+    await this.e.reply(blocks.join('\n\n'))
+  }
+
+  /** spy配置检查：当前生效的人物、触发词与数据源，以及配置校验结果（校验失败时列出错误，此时仍在用上次的有效配置） */
+  async checkConfig() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const c = this.spyStatusCfg
+    const { errors, rejectedJson, json, loadedAt } = configState
+    const lines = [`配置文件：${CONFIG_FILE}（当前配置生效于 ${loadedAt ? this.fmtDateTime(loadedAt) : '--'}）`]
+    if (!errors.length) {
+      lines.push('✅配置校验通过')
+    } else if (rejectedJson && rejectedJson !== json) {
+      lines.push('❌最近一次修改未通过校验，仍在使用上次的有效配置：', ...errors.map((err) => `- ${err}`))
+    } else {
+      lines.push('⚠️当前配置有错误（没有可回退的有效配置，已照常启用）：', ...errors.map((err) => `- ${err}`))
+    }
+    const blocks = [lines.join('\n')]
+
+    const persons = (Array.isArray(c.persons) ? c.persons : []).filter((p) => p && typeof p.name === 'string' && p.name.trim())
+    const personLines = persons.map((p) => {
+      const src = this.getSourceForName(p.name)
+      const adapter = SOURCE_ADAPTERS[src.type]
+      const parts = [`触发词 ${p.trigger || '无'}`]
+      if (Array.isArray(p.aliases) && p.aliases.length) parts.push(`昵称 ${p.aliases.join('、')}`)
+      parts.push(`数据源 ${adapter ? `${src.type} ${adapter.key(src)}` : `${src.type}（未知类型）`}`)
+      const { timeZone, dayStartHour } = this.getTimeOptions(p.name)
+      parts.push(`时区 ${timeZone}${dayStartHour ? ` ${dayStartHour}:00 起算` : ''}`)
+      const locale = this.getLocale(p.name)
+      if (locale !== DEFAULT_LOCALE || (p.templates && typeof p.templates === 'object')) {
+        parts.push(`语言 ${locale}${p.templates && typeof p.templates === 'object' ? `（自定义 ${Object.keys(p.templates).length} 个模板）` : ''}`)
+      }
+      return `${p.name}：${parts.join('｜')}`
+    })
+    blocks.push([`▶人物（${persons.length}）`, ...(personLines.length ? personLines : ['  没有配置 persons'])].join('\n'))
+
+    const teamNames = Array.isArray(c.teamNames) ? c.teamNames : []
+    blocks.push([
+      '▶触发词',
+      ...getTriggers(c).map((t) => {
+        if (t === '时间所有人') return `${t} → 服务端 /api/names 的全部名单`
+        if (t === (c.teamTrigger || '时间开发团队')) return `${t} → ${teamNames.length ? teamNames.join('、') : '（teamNames 为空）'}`
+        return `${t} → ${persons.find((p) => p.trigger === t).name}`
+      }),
+      `共 ${sharedRules.length} 条指令规则，随配置自动更新`,
+    ].join('\n'))
+
+    const sourceLines = [...this.getConfiguredSources()].map(([key, { src, names }]) => `${key}（${src.type}）：${names.length ? names.join('、') : '无人使用'}`)
+    blocks.push(['▶数据源', ...sourceLines].join('\n'))
+    await this.e.reply(blocks.join('\n\n'))
+  }
+
+  /** 订阅列表（redis）：[{ name, targetType: 'group'|'user', targetId, keywords: [] }] */
+  async loadSubscriptions() {
     try {
-      const apiBase = this.getApiBaseForName(name)
-      list = await this.fetchTodayEvents(name, apiBase)
+      const raw = await redis.get(SUBSCRIPTIONS_REDIS_KEY)
+      const list = raw ? JSON.parse(raw) : []
+      return Array.isArray(list) ? list : []
     } catch (e) {
-      logger.warn('[spy-status] 今日事件拉取失败:', name, e && e.message)
-      await this.e.reply(`获取${name}的今日数据失败（请确认服务端已实现 /api/today-events 且可访问）：${e && e.message}`)
+      logger.warn('[spy-status] 读取订阅失败:', e && e.message)
+      return []
+    }
+  }
+
+  async saveSubscriptions(list) {
+    await redis.set(SUBSCRIPTIONS_REDIS_KEY, JSON.stringify(list))
+  }
+
+  /** 订阅xx [关键词] / 取消订阅xx：订阅目标为当前群，私聊时为当前用户 */
+  async subscribe() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(/^(取消)?订阅(\S+?)(?:\s+(.+))?$/)
+    if (!match) return
+    const [, cancel, alias, keyword] = match
+    const name = this.resolveName(alias)
+    if (!name) return false
+    const targetType = this.e.group_id ? 'group' : 'user'
+    const targetId = String(this.e.group_id || this.e.user_id)
+    const where = targetType === 'group' ? '本群' : '私聊'
+    const list = await this.loadSubscriptions()
+    const idx = list.findIndex((x) => x.name === name && x.targetType === targetType && String(x.targetId) === targetId)
+
+    if (cancel) {
+      if (idx === -1) {
+        await this.e.reply(`${where}没有订阅${name}哦`, true)
+        return
+      }
+      list.splice(idx, 1)
+      await this.saveSubscriptions(list)
+      await this.e.reply(`已取消${where}对${name}的订阅`, true)
       return
     }
 
-    // 服务端已按北京时间过滤过“今日”，这里再按北京时间的 UTC 范围兜底过滤，避免时区不一致导致漏/错
-    const todayEvents = (list || []).filter((ev) => {
-      if (!ev || !ev.access_time) return false
-      const t = new Date(ev.access_time).getTime()
-      return !isNaN(t) && t >= startMs && t < endMs
+    // 隐身只暂停推送，不影响订阅；群策略不允许查看的人不能订阅
+    if (!this.isAllowedInGroup(name, this.e.group_id)) {
+      await this.e.reply(`本群不能查看${name}的状态哦`, true)
+      return
+    }
+    const sub = idx === -1 ? { name, targetType, targetId, keywords: [] } : list[idx]
+    const kw = (keyword || '').trim()
+    if (kw && !sub.keywords.includes(kw)) sub.keywords.push(kw)
+    if (idx === -1) list.push(sub)
+    await this.saveSubscriptions(list)
+    const kwText = sub.keywords.length ? `，关注关键词：${sub.keywords.join('、')}` : ''
+    await this.e.reply(`已在${where}订阅${name}：醒了、电脑上线时会提醒${kwText}`, true)
+  }
+
+  /** 订阅轮询用的状态快照：devices 以设备 key 索引 { label, mobile, off, stale, app } */
+  getStatusSnapshot(name, events) {
+    const entries = this.getLatestByDevice(name, events)
+    const devices = {}
+    for (const { device, latest } of entries) {
+      const effect = this.getEventEffect(latest, name, device.type)
+      devices[device.key] = {
+        label: device.label,
+        mobile: this.isMobileType(device.type),
+        off: !!latest && effect.screenOff,
+        stale: this.isPcStale(latest),
+        app: latest && !effect.hide ? this.getStatsAppName(latest, device.type, name) : null,
+      }
+    }
+    const titles = entries.filter((x) => x.latest).flatMap(({ latest }) => [latest.window_title, latest.app]).filter(Boolean)
+    return {
+      devices,
+      hasKeyword: (kw) => titles.some((t) => t.includes(kw)),
+    }
+  }
+
+  /** 定时任务：按订阅拉取状态，与上一轮快照对比后推送变化；首轮只记录不推送 */
+  async pollSubscriptions() {
+    if (subscriptionPolling) return
+    subscriptionPolling = true
+    try {
+      this.spyStatusCfg = loadSpyStatusConfig()
+      const c = this.spyStatusCfg
+      const subs = await this.loadSubscriptions()
+      const cooldownMs = (c.subscribeCooldownSeconds != null && Number(c.subscribeCooldownSeconds) >= 0 ? Number(c.subscribeCooldownSeconds) : CONFIG.SUBSCRIBE_COOLDOWN_SECONDS) * 1000
+      for (const name of [...new Set(subs.map((x) => x.name))]) {
+        let events
+        try {
+          const status = await this.getStatusCached(name)
+          // 退回的旧数据不参与变化判断，避免误报
+          if (status.fallback) continue
+          events = status.events
+        } catch (e) {
+          logger.debug('[spy-status] 订阅轮询失败:', name, e && e.message)
+          continue
+        }
+        const cur = this.getStatusSnapshot(name, events)
+        const prev = subscriptionState.get(name)
+        subscriptionState.set(name, cur)
+        if (!prev) continue
+
+        const changes = []
+        for (const [key, d] of Object.entries(cur.devices)) {
+          const before = prev.devices[key]
+          if (!before || !d.app) continue
+          if (d.mobile && before.off && !d.off) {
+            changes.push({ kind: `wake:${key}`, text: `⏰${name}醒了，${d.label}正在用：${d.app}` })
+          } else if (!d.mobile && before.stale && !d.stale) {
+            changes.push({ kind: `online:${key}`, text: `💻${name}的${d.label}上线了，正在用：${d.app}` })
+          }
+        }
+        for (const sub of subs.filter((x) => x.name === name)) {
+          // 隐身中或该群不允许查看时不推送
+          if (await this.getPrivacyBlock(name, sub.targetType === 'group' ? sub.targetId : null)) continue
+          const subChanges = [...changes]
+          for (const kw of sub.keywords || []) {
+            if (!prev.hasKeyword(kw) && cur.hasKeyword(kw)) subChanges.push({ kind: `kw:${kw}`, text: `👀${name}开始「${kw}」了` })
+          }
+          const now = Date.now()
+          const texts = subChanges.filter(({ kind }) => {
+            const key = `${sub.targetType}:${sub.targetId}:${name}:${kind}`
+            if (now - (subscriptionLastNotify.get(key) || 0) < cooldownMs) return false
+            subscriptionLastNotify.set(key, now)
+            return true
+          }).map((x) => x.text)
+          if (texts.length) await this.sendToTarget(sub.targetType, sub.targetId, texts.join('\n'))
+        }
+      }
+    } catch (e) {
+      logger.error('[spy-status] 订阅轮询异常:', e && e.message)
+    } finally {
+      subscriptionPolling = false
+    }
+  }
+
+  /** 日报时刻「HH:MM」，跨过 dayEndMs 的注明次日 */
+  fmtDigestClock(ms, dayEndMs, name) {
+    return `${this.fmtClock(ms, name)}${ms >= dayEndMs ? '（次日）' : ''}`
+  }
+
+  /** 某人「昨天」的熬夜时段：当晚 NIGHT_OWL_START_HOUR 点至次日 NIGHT_OWL_END_HOUR 点（此人的时区，且不早于这一天结束） */
+  getNightRange(name, dayStartMs, dayEndMs) {
+    const { timeZone, dayStartHour } = this.getTimeOptions(name)
+    const wall = new Date(zonedDate(timeZone, dayStartMs).getTime() - dayStartHour * HOUR_MS)
+    const [y, mo, d] = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()]
+    return {
+      nightStartMs: zonedTimeToMs(timeZone, y, mo, d, CONFIG.NIGHT_OWL_START_HOUR),
+      nightEndMs: Math.max(dayEndMs, zonedTimeToMs(timeZone, y, mo, d + 1, CONFIG.NIGHT_OWL_END_HOUR)),
+    }
+  }
+
+  /**
+   * 每日日报（定时任务）：统计前一天 teamNames 成员的使用情况，以合并转发推送到 digestGroups 的每个群。
+   * 每人的「昨天」按自己的时区与 dayStartHour 计；事件多拉到次日 NIGHT_OWL_END_HOUR 点，用于评选熬夜冠军
+   * （按各自当晚 NIGHT_OWL_START_HOUR 点之后多晚比较）；各群按隐身与群限制分别过滤成员
+   */
+  async pushDailyDigest() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const c = this.spyStatusCfg
+    const groups = Array.isArray(c.digestGroups) ? c.digestGroups : []
+    const teamNames = Array.isArray(c.teamNames) ? c.teamNames : []
+    if (!groups.length || !teamNames.length) return
+    const topApps = Number(c.digestTopApps) > 0 ? Number(c.digestTopApps) : CONFIG.DIGEST_TOP_APPS
+    const ranges = teamNames.map((name) => {
+      const range = this.parseReportRange('昨天', name)
+      return { ...range, ...this.getNightRange(name, range.startMs, range.endMs) }
     })
-    if (todayEvents.length === 0) {
-      await this.e.reply(`${name}今天还没有上传过数据呢，视奸不到哦`)
+
+    const { concurrency } = this.getCacheOptions()
+    const results = await mapWithConcurrency(teamNames, concurrency, (name, i) => this.fetchEventsInRange(name, ranges[i].startMs, ranges[i].nightEndMs))
+    const members = results.map((r, i) => {
+      const name = teamNames[i]
+      const { label, startMs, endMs, nightStartMs, nightEndMs } = ranges[i]
+      if (r.status === 'rejected') {
+        logger.warn('[spy-status] 日报事件拉取失败:', name, r.reason && r.reason.message)
+        return { name, text: `▶${name}\n  查询失败：${(r.reason && r.reason.message) || '未知错误'}` }
+      }
+      const devices = this.getDeviceUsage(name, r.value.list, startMs, endMs)
+      const daySessions = devices.flatMap((d) => d.sessions)
+      const totalSeconds = devices.reduce((sum, d) => sum + d.coveredSeconds, 0)
+      if (!daySessions.length) {
+        return { name, text: `▶${name}\n  ${r.value.rangeSupported ? `${label}没有活动记录` : '服务端只支持查询今天的数据（未实现 /api/events）'}` }
+      }
+      // 熬夜：熬夜时段内最后一个会话；「最晚」也算上它，过了零点（这一天结束）还在用的注明次日
+      const night = this.buildPersonSessions(name, r.value.list, nightStartMs, nightEndMs).flatMap((x) => x.sessions)
+      const lastNight = night.reduce((a, b) => (!a || b.end > a.end ? b : a), null)
+      const firstMs = Math.min(...daySessions.map((x) => x.start))
+      const lastMs = Math.max(...daySessions.map((x) => x.end), lastNight ? lastNight.end : 0)
+      const lines = [`▶${name} 共${this.formatDuration(totalSeconds)}`, `最早 ${this.fmtClock(firstMs, name)} · 最晚 ${this.fmtDigestClock(lastMs, endMs, name)}`]
+      for (const d of devices) {
+        if (!d.sessions.length) continue
+        lines.push(`${this.getDeviceStatsLabel(d.device)} ${this.formatDuration(d.coveredSeconds)}`)
+        d.apps.slice(0, topApps).forEach((item, j) => lines.push(`  ${j + 1}.${item.app} ${this.formatDuration(item.seconds)}`))
+      }
+      return { name, text: lines.join('\n'), lastNight, lateMs: lastNight ? lastNight.end - nightStartMs : 0, endMs }
+    })
+
+    for (const groupId of groups) {
+      const visible = await this.filterVisibleNames(teamNames, groupId)
+      const shown = members.filter((m) => visible.includes(m.name))
+      if (!shown.length) continue
+      const owl = shown.filter((m) => m.lastNight).sort((a, b) => b.lateMs - a.lateMs)[0]
+      const owlLine = owl
+        ? `🦉熬夜冠军：${owl.name}，${this.fmtDigestClock(owl.lastNight.end, owl.endMs, owl.name)} 还在用 ${owl.lastNight.app}`
+        : '🦉昨晚大家都睡得很早，没有熬夜冠军'
+      const day = this.fmtDay(this.parseReportRange('昨天').startMs)
+      await this.sendForward([`📰视奸日报 ${day}`, ...shown.map((m) => m.text), owlLine], `${day}视奸日报`, { type: 'group', id: groupId })
+    }
+  }
+
+  async loadStoredLimits() {
+    try {
+      const raw = await redis.get(LIMITS_REDIS_KEY)
+      const list = raw ? JSON.parse(raw) : []
+      return Array.isArray(list) ? list : []
+    } catch (e) {
+      logger.warn('[spy-status] 读取限额失败:', e && e.message)
+      return []
+    }
+  }
+
+  async saveStoredLimits(list) {
+    await redis.set(LIMITS_REDIS_KEY, JSON.stringify(list))
+  }
+
+  /** 限额项的键与展示名 */
+  getLimitTarget(target) {
+    return target.category != null
+      ? { key: `category:${target.category}`, label: `${target.category}（分类）` }
+      : { key: `app:${target.app}`, label: String(target.app) }
+  }
+
+  /**
+   * 某人生效的限额：指令设置的 > persons[].limits > 全局 limits（仅 teamNames 成员），同一应用/分类取优先的一项。
+   * 返回 [{ key, label, target, minutes, groups }]；stored 为 loadStoredLimits 的结果
+   */
+  getLimitsForName(name, stored) {
+    const c = this.spyStatusCfg || loadSpyStatusConfig()
+    const p = this.getPersonConfig(name)
+    const isTeam = Array.isArray(c.teamNames) && c.teamNames.includes(name)
+    const items = [
+      ...stored.filter((x) => x && x.name === name).map((x) => ({ ...x.target, minutes: x.minutes })),
+      ...(p && Array.isArray(p.limits) ? p.limits : []),
+      ...(isTeam && Array.isArray(c.limits) ? c.limits : []),
+    ]
+    const result = new Map()
+    for (const item of items) {
+      const minutes = item && (item.minutes != null ? Number(item.minutes) : Number(item.hours) * 60)
+      if (!item || (item.app == null && item.category == null) || !(minutes > 0)) {
+        if (item && typeof item === 'object' && warnedLimitItems.has(item)) continue
+        if (item && typeof item === 'object') warnedLimitItems.add(item)
+        logger.warn('[spy-status] 忽略无效限额（需要 app 或 category，hours / minutes 须为正数）:', name, JSON.stringify(item))
+        continue
+      }
+      const target = item.category != null ? { category: String(item.category) } : { app: String(item.app) }
+      const { key, label } = this.getLimitTarget(target)
+      if (!result.has(key)) {
+        const groups = Array.isArray(item.groups) ? item.groups : (Array.isArray(c.limitGroups) ? c.limitGroups : [])
+        result.set(key, { key, label, target, minutes, groups })
+      }
+    }
+    return [...result.values()]
+  }
+
+  /** 某人今天各限额的已用秒数（与「看看xx今天做了什么」同一套会话统计） */
+  async getLimitProgress(name, limits, list = null) {
+    const { startMs, endMs } = this.parseReportRange('今天', name)
+    const apps = this.getDeviceUsage(name, list || await this.fetchTodayEvents(name), startMs, endMs).flatMap((x) => x.apps)
+    const categories = this.summarizeCategories(apps)
+    return limits.map((limit) => {
+      const used = limit.target.category != null
+        ? (categories.find((x) => x.name === limit.target.category) || { seconds: 0 }).seconds
+        : apps.filter((x) => x.app === limit.target.app).reduce((sum, x) => sum + x.seconds, 0)
+      return { ...limit, usedSeconds: used }
+    })
+  }
+
+  /** 超限提醒文案：倍数越高越重 */
+  formatLimitAlert(name, limit, level) {
+    const used = this.formatDuration(limit.usedSeconds)
+    const quota = this.formatDuration(limit.minutes * 60)
+    const target = limit.target.category != null ? `${limit.target.category}类应用` : limit.target.app
+    if (level === 1) return `⏰${name}今天${target}已经用了${used}，超过限额${quota}，该休息一下了`
+    if (level === 2) return `⚠️${name}今天${target}已经用了${used}，是限额${quota}的2倍了！快停下来`
+    return `🚨${name}今天${target}已经用了${used}，整整限额${quota}的${level}倍，防沉迷系统已经看不下去了`
+  }
+
+  /** 防沉迷检查（定时任务）：有限额的人逐个拉取今天的事件，新跨过的倍数各提醒一次（按天记在 redis） */
+  async checkLimits() {
+    if (limitChecking) return
+    limitChecking = true
+    try {
+      this.spyStatusCfg = loadSpyStatusConfig()
+      const c = this.spyStatusCfg
+      const stored = await this.loadStoredLimits()
+      const persons = Array.isArray(c.persons) ? c.persons : []
+      const names = [...new Set([
+        ...(Array.isArray(c.teamNames) ? c.teamNames : []),
+        ...persons.map((p) => p && p.name).filter(Boolean),
+        ...stored.map((x) => x && x.name).filter(Boolean),
+      ])]
+      for (const name of names) {
+        const limits = this.getLimitsForName(name, stored).filter((x) => x.groups.length)
+        if (!limits.length) continue
+        let progress
+        try {
+          progress = await this.getLimitProgress(name, limits)
+        } catch (e) {
+          logger.debug('[spy-status] 限额检查失败:', name, e && e.message)
+          continue
+        }
+        const dayStart = this.getDayStart(Date.now(), name)
+        for (const limit of progress) {
+          const level = Math.floor(limit.usedSeconds / (limit.minutes * 60))
+          if (level < 1) continue
+          const key = `${LIMIT_NOTIFIED_REDIS_KEY_PREFIX}${name}:${dayStart}:${limit.key}`
+          if (Number(await redis.get(key)) >= level) continue
+          await redis.set(key, String(level), { EX: 2 * 24 * 3600 })
+          for (const groupId of limit.groups) {
+            // 隐身中或该群不允许查看时不提醒
+            if (await this.getPrivacyBlock(name, groupId)) continue
+            await this.sendToTarget('group', groupId, this.formatLimitAlert(name, limit, level))
+          }
+        }
+      }
+    } catch (e) {
+      logger.error('[spy-status] 防沉迷检查异常:', e && e.message)
+    } finally {
+      limitChecking = false
+    }
+  }
+
+  /** xx的限额：各限额今天的进度 */
+  async queryLimits() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const match = (this.e.msg || '').trim().match(/^(.+?)的限额\s*$/)
+    if (!match) return
+    const prepared = await this.prepareQuery(match[1], (name) => this.parseReportRange('今天', name), '限额进度')
+    if (!prepared) return prepared
+    const { name, list } = prepared
+    const limits = this.getLimitsForName(name, await this.loadStoredLimits())
+    if (!limits.length) {
+      await this.e.reply(`${name}还没有设置限额`, true)
       return
     }
+    const progress = await this.getLimitProgress(name, limits, list)
+    const lines = [`⏳${name}今天的限额`]
+    progress.forEach((limit, i) => {
+      const ratio = limit.usedSeconds / (limit.minutes * 60)
+      const bar = '▓'.repeat(Math.min(10, Math.floor(ratio * 10))).padEnd(10, '░')
+      lines.push(`${i + 1}.${limit.label} ${this.formatDuration(limit.usedSeconds)} / ${this.formatDuration(limit.minutes * 60)} ${bar} ${Math.round(ratio * 100)}%${ratio >= 1 ? ' 已超限' : ''}`)
+    })
+    await this.e.reply(lines.join('\n'), true)
+  }
 
-    const phoneEvents = todayEvents.filter((e) => this.isPhoneDevice(e.machine))
-    const pcEvents = HIDE_PC_NAMES.includes(name) ? [] : todayEvents.filter((e) => !this.isPhoneDevice(e.machine))
-    // 当日使用情况去除熄屏类、噪音应用（不展示且不计入时长/占比）
-    const phoneEventsFiltered = phoneEvents.filter((e) => !this.isNoiseOrScreenOffForStats(e, true))
-    const pcEventsFiltered = pcEvents.filter((e) => !this.isNoiseOrScreenOffForStats(e, false))
+  /** 设置xx限额 <应用或分类> <时长> / 取消xx限额 <应用或分类>（仅主人）：存 redis，优先于配置文件 */
+  async manageLimit() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const match = (this.e.msg || '').trim().match(/^(设置|取消)(.+?)的?限额\s+(.+?)\s*$/)
+    if (!match) return
+    const [, action, alias, rest] = match
+    const name = this.resolveName(alias)
+    if (!name) return false
+    let targetName = rest
+    let minutes = null
+    if (action === '设置') {
+      const m = /^(.+?)\s+(\d+(?:\.\d+)?)\s*(小时|h|分钟|min|m)$/i.exec(rest)
+      if (!m) {
+        await this.e.reply('格式：设置xx限额 游戏 4小时（或 90分钟）', true)
+        return
+      }
+      targetName = m[1]
+      minutes = Number(m[2]) * (/^(小时|h)$/i.test(m[3]) ? 60 : 1)
+      if (!(minutes > 0)) {
+        await this.e.reply('限额时长要大于 0 哦', true)
+        return
+      }
+    }
+    // 名字是分类名时按分类计，否则按应用计
+    const isCategory = targetName === OTHER_CATEGORY.name || this.resolveCategories().some((x) => x.name === targetName)
+    const target = isCategory ? { category: targetName } : { app: targetName }
+    const { key, label } = this.getLimitTarget(target)
+    const list = await this.loadStoredLimits()
+    const idx = list.findIndex((x) => x && x.name === name && this.getLimitTarget(x.target || {}).key === key)
+    if (action === '取消') {
+      if (idx === -1) {
+        await this.e.reply(`没有用指令给${name}设置过「${label}」的限额（配置文件里的限额要改配置）`, true)
+        return
+      }
+      list.splice(idx, 1)
+      await this.saveStoredLimits(list)
+      await this.e.reply(`已取消${name}「${label}」的限额`, true)
+      return
+    }
+    const item = { name, target, minutes }
+    if (idx === -1) list.push(item)
+    else list[idx] = item
+    await this.saveStoredLimits(list)
+    await this.e.reply(`已设置${name}「${label}」每天限额${this.formatDuration(minutes * 60)}`, true)
+  }
 
-    const buildDeviceBlock = (deviceEvents, deviceLabel) => {
-      if (!deviceEvents.length) return { lines: [], coveredSeconds: 0, percentOfDay: 0 }
-      const totalHeartbeats = deviceEvents.length
-      const coveredSeconds = totalHeartbeats * heartbeatSec
-      const byApp = Object.create(null)
+  /**
+   * 导出数据：events 为范围内每条事件（规整后的原始字段 + 统计用应用名、设备类型、噪音/熄屏标记），
+   * apps 为按设备、应用汇总的会话时长（与报告同口径）。隐藏的设备不导出
+   */
+  buildExportData(name, list, startMs, endMs) {
+    const events = []
+    for (const { device, events: deviceEvents } of this.groupEventsByDevice(name, list)) {
       for (const ev of deviceEvents) {
-        const appName = this.getAppNameForStats(ev, deviceLabel === '手机')
-        byApp[appName] = (byApp[appName] || 0) + 1
-      }
-      const sorted = Object.entries(byApp)
-        .map(([app, count]) => ({ app, count, seconds: count * heartbeatSec }))
-        .sort((a, b) => b.seconds - a.seconds)
-      const lines = [`▶${deviceLabel}`]
-      sorted.forEach((item, i) => {
-        const pct = coveredSeconds > 0 ? ((item.seconds / coveredSeconds) * 100).toFixed(1) : '0'
-        lines.push(`${i + 1}.${item.app} 用了${this.formatDuration(item.seconds)} 占比${pct}%`)
-      })
-      return { lines, coveredSeconds, percentToNow: Math.min(100, (coveredSeconds / elapsedSeconds) * 100) }
+        const ms = new Date(ev.access_time).getTime()
+        if (isNaN(ms)) continue
+        const statsApp = this.getAppNameForStats(ev, this.isMobileType(device.type))
+        const effect = this.getEventEffect(ev, name, device.type, statsApp)
+        events.push({
+          machine: ev.machine == null ? '' : String(ev.machine),
+          window_title: ev.window_title || '',
+          app: ev.app || '',
+          access_time: new Date(ms).toISOString(),
+          local_time: this.fmtDateTime(ms, name),
+          device: this.getDeviceStatsLabel(device),
+          device_type: device.type,
+          stats_app: statsApp,
+          display_app: effect.rename || statsApp,
+          noise: !!effect.hide && !effect.screenOff,
+          screen_off: !!effect.screenOff,
+        })
+      }
     }
+    events.sort((a, b) => (a.access_time < b.access_time ? -1 : a.access_time > b.access_time ? 1 : 0))
+    const apps = this.getDeviceUsage(name, list, startMs, endMs).flatMap(({ device, apps: items }) => items.map((item) => ({
+      device: this.getDeviceStatsLabel(device),
+      device_type: device.type,
+      app: item.app,
+      category: this.getAppCategory(item.app).name,
+      sessions: item.count,
+      seconds: item.seconds,
+      duration: this.formatDuration(item.seconds),
+    })))
+    return { events, apps }
+  }
 
-    const phoneBlock = buildDeviceBlock(phoneEventsFiltered, '手机')
-    const pcBlock = buildDeviceBlock(pcEventsFiltered, '电脑')
-    const totalCovered = (phoneBlock.coveredSeconds || 0) + (pcBlock.coveredSeconds || 0)
-    const totalPercent = Math.min(100, (totalCovered / elapsedSeconds) * 100)
+  /** 导出xx今天/昨天/这周/YYYY-MM-DD数据 [csv|json]（仅主人）：CSV 为事件与应用汇总两个文件，JSON 为一个文件；发到本群群文件或私聊 */
+  async exportData() {
+    this.spyStatusCfg = loadSpyStatusConfig()
+    const raw = (this.e.msg || '').trim()
+    const match = raw.match(/^导出(.+?)\s*(今天|昨天|这周|本周|\d{4}-\d{1,2}-\d{1,2})的?数据\s*(csv|json)?\s*$/i)
+    if (!match) return
+    const format = (match[3] || 'csv').toLowerCase()
+    const prepared = await this.prepareQuery(match[1], (name) => this.parseReportRange(match[2], name), '导出', match[2])
+    if (!prepared) return prepared
+    const { name, list, range: { label, startMs, endMs } } = prepared
+    const { events, apps } = this.buildExportData(name, list || [], startMs, endMs)
+    if (!events.length) {
+      await this.e.reply(`${name}${label}没有数据，不用导出啦`)
+      return
+    }
+
+    const lastDay = this.fmtDateTime(Math.min(endMs, Date.now()) - 1, name).slice(0, 10)
+    const firstDay = this.fmtDateTime(startMs, name).slice(0, 10)
+    const base = `${name}-${firstDay === lastDay ? firstDay : `${firstDay}_${lastDay}`}`
+    const files = format === 'json'
+      ? [{ fileName: `${base}.json`, content: JSON.stringify({ name, range: { label, start: new Date(startMs).toISOString(), end: new Date(endMs).toISOString(), timeZone: this.getTimeOptions(name).timeZone }, events, apps }, null, 2) }]
+      : [{ fileName: `${base}-events.csv`, content: toCsv(events, EXPORT_EVENT_COLUMNS) }, { fileName: `${base}-apps.csv`, content: toCsv(apps, EXPORT_APP_COLUMNS) }]
+    try {
+      fs.mkdirSync(EXPORT_DIR, { recursive: true })
+      for (const { fileName, content } of files) {
+        const file = `${EXPORT_DIR}/${fileName}`
+        fs.writeFileSync(file, content)
+        if (this.e.group_id) {
+          await this.e.group.sendFile(file, '/', fileName)
+        } else {
+          await this.e.bot.pickUser(this.e.user_id).sendFile(file, fileName)
+        }
+      }
+      await this.e.reply(`已导出${name}${label}的数据：${events.length}条事件、${apps.length}条应用汇总`)
+    } catch (e) {
+      logger.warn('[spy-status] 导出失败:', name, e && e.message)
+      await this.e.reply(`导出失败：${e && e.message}`)
+    } finally {
+      for (const { fileName } of files) fs.rmSync(`${EXPORT_DIR}/${fileName}`, { force: true })
+    }
+  }
 
-    // 三条消息合并转发，直接发送不回复用户
-    const firstMsg = `${name}今天截止目前有${totalPercent.toFixed(1)}%的时间都被我视奸到了呢 这是他的设备今天的使用情况`
-    const secondMsg = (phoneBlock.lines || []).join('\n') || '▶手机\n  暂无数据'
-    const thirdMsg = (pcBlock.lines || []).join('\n') || '▶电脑\n  暂无数据'
-    const forwardBlocks = [firstMsg, secondMsg, thirdMsg]
-    const forwardMsg = await common.makeForwardMsg(this.e, forwardBlocks, `${name}今日使用情况`)
+  /** 发到当前会话（群里发到群，私聊发给发送者），不引用回复 */
+  async sendToChat(msg) {
     if (this.e.group_id) {
-      await this.e.group.sendMsg(forwardMsg)
+      await this.e.group.sendMsg(msg)
     } else {
       const target = this.e.bot.pickUser(this.e.user_id)
-      if (target) await target.sendMsg(forwardMsg)
+      if (target) await target.sendMsg(msg)
+    }
+  }
+
+  /**
+   * 合并转发：不传 target 时发到当前会话（报告、排行、对比等多条消息的输出），
+   * 传 { type: 'group'|'friend', id } 时经 sendToTarget 主动推送（日报）。失败只记日志
+   */
+  async sendForward(blocks, title, target = null) {
+    try {
+      if (!target) {
+        await this.sendToChat(await common.makeForwardMsg(this.e, blocks, title))
+        return
+      }
+      const id = Number(target.id)
+      const ctx = target.type === 'group' ? { isGroup: true, group_id: id, group: Bot.pickGroup(id) } : { user_id: id, friend: Bot.pickFriend(id) }
+      await this.sendToTarget(target.type, target.id, await common.makeForwardMsg(ctx, blocks, title))
+    } catch (e) {
+      logger.warn('[spy-status] 合并转发失败:', title, target ? `${target.type} ${target.id}` : '', e && e.message)
+    }
+  }
+
+  /** 主动推送到群或好友 */
+  async sendToTarget(targetType, targetId, msg) {
+    try {
+      const target = targetType === 'group' ? Bot.pickGroup(Number(targetId)) : Bot.pickFriend(Number(targetId))
+      if (target) await target.sendMsg(msg)
+    } catch (e) {
+      logger.warn('[spy-status] 推送失败:', targetType, targetId, e && e.message)
     }
   }
 
   async query() {
     this.spyStatusCfg = loadSpyStatusConfig()
     const c = this.spyStatusCfg
-    const persons = Array.isArray(c.persons) ? c.persons : []
-    const teamTrigger = c.teamTrigger || '时间开发团队'
-    const triggers = [...persons.map((p) => (p && p.trigger) || '').filter(Boolean), teamTrigger, '时间所有人']
-    const reg = triggers.length > 0 ? new RegExp(`^(${triggers.join('|')})\\s*$`) : /^$/
     const raw = (this.e.msg || '').trim()
-    const match = raw.match(reg)
-    if (!match) return
-
-    const trigger = match[1]
+    const trigger = getTriggers(c).find((t) => raw.replace(/\s+$/, '') === t)
     let names
-    if (trigger === '时间所有人') {
+    if (!trigger) {
+      // 「xx在干嘛」类说法：解析名字，闲聊里认不出的名字不打扰（返回 false 交给其他插件）
+      const phrase = raw.match(STATUS_PHRASE_RE)
+      if (!phrase) return false
+      const parsed = this.parseNames(phrase[1])
+      if (parsed.unknown.length) return this.replyUnknownNames(parsed.unknown, true)
+      names = parsed.names
+    } else if (trigger === '时间所有人') {
       try {
         names = await this.fetchNames()
       } catch (e) {
@@ -547,48 +3456,55 @@ export class SpyStatus extends plugin {
       logger.warn('[spy-status] 未知指令:', trigger)
       return
     }
-
-    const now = Date.now()
-    const cacheKey = names.slice().sort().join(',')
-    const cached = cache.byNames[cacheKey]
-    if (cached && (now - cache.timestamp) < CONFIG.CACHE_EXPIRE_TIME) {
-      if (Array.isArray(cached)) {
-        const title = trigger === '时间所有人' ? '所有人状态' : (c.teamForwardTitle || '开发团队状态')
-        const forwardMsg = await common.makeForwardMsg(this.e, cached, title)
-        await this.e.reply(forwardMsg)
-      } else {
-        await this.e.reply(cached, true)
+    const isTeamQuery = trigger === (c.teamTrigger || '时间开发团队') || trigger === '时间所有人'
+    if (isTeamQuery) {
+      names = await this.filterVisibleNames(names)
+      if (names.length === 0) {
+        await this.e.reply('大家都隐身了，视奸不到哦')
+        return
       }
+    }
+    // 点名查询：逐人检查隐私，只点了一个人且被拦截时直接回复拦截原因
+    const privacy = isTeamQuery ? [] : await Promise.all(names.map((name) => this.getPrivacyBlock(name)))
+    if (names.length === 1 && privacy[0]) {
+      await this.e.reply(privacy[0], true)
       return
     }
 
-    const blocks = []
-    for (const name of names) {
-      try {
-        const apiBase = this.getApiBaseForName(name)
-        const events = await this.fetchStatusByName(name, CONFIG.PER_PERSON_LIMIT, apiBase)
-        blocks.push(this.formatMessageByPerson(name, events))
-      } catch (e) {
-        logger.warn('[spy-status] 查询失败:', name, e && e.message)
-        blocks.push(`【${name}】\n  查询失败：${e && e.message}\n`)
+    const { concurrency } = this.getCacheOptions()
+    const results = await mapWithConcurrency(names, concurrency, (name, i) => (privacy[i] ? null : this.getStatusCached(name)))
+    const blocks = results.map((r, i) => {
+      if (privacy[i]) return `【${names[i]}】\n  ${privacy[i]}\n`
+      if (r.status === 'fulfilled') {
+        const { events, fetchedAt, fallback } = r.value
+        const msg = this.formatMessageByPerson(names[i], events)
+        if (!fallback) return msg
+        const stale = fillTemplate(this.getTemplates(names[i]).stale, { minutes: Math.max(1, Math.round((Date.now() - fetchedAt) / 60000)) })
+        return `${msg.replace(/\n$/, '')}\n${stale}\n`
+      }
+      logger.warn('[spy-status] 查询失败:', names[i], r.reason && r.reason.message)
+      return `【${names[i]}】\n  查询失败：${r.reason && r.reason.message}\n`
+    })
+    // 图片模式：每人一张状态卡片，渲染失败的人保留文字
+    if (this.isImageMode('status')) {
+      for (let i = 0; i < names.length; i++) {
+        const img = await this.renderImage('status', names[i], this.getStatusCard(names[i], results[i], privacy[i]))
+        if (img) blocks[i] = img
       }
     }
 
-    const isTeamQuery = trigger === (c.teamTrigger || '时间开发团队') || trigger === '时间所有人'
     const isForward = isTeamQuery && blocks.length > 0
     if (isForward) {
       const isDevTeam = trigger === (c.teamTrigger || '时间开发团队')
       const forwardBlocks = isDevTeam ? ['这是当前knd dev team成员状态', ...blocks] : blocks
-      cache.byNames[cacheKey] = forwardBlocks
-      cache.timestamp = now
       const title = trigger === '时间所有人' ? '所有人状态' : (c.teamForwardTitle || '开发团队状态')
       const forwardMsg = await common.makeForwardMsg(this.e, forwardBlocks, title)
       await this.e.reply(forwardMsg)
-    } else {
-      const msg = blocks.join('').trim() || '暂无数据'
-      cache.byNames[cacheKey] = msg
-      cache.timestamp = now
+    } else if (blocks.every((b) => typeof b === 'string')) {
+      const msg = blocks.map((b) => b.trim()).filter(Boolean).join('\n\n') || '暂无数据'
       await this.e.reply(msg, true)
+    } else {
+      await this.e.reply(blocks.map((b) => (typeof b === 'string' ? `${b.trim()}\n` : b)), true)
     }
   }
 }
@@ -0,0 +1,267 @@
+/**
+ * spy-status 测试：node --test test/
+ * 插件依赖 Yunzai 的 lib（plugin、common、config、puppeteer），这里用加载钩子换成空实现。
+ * 规则引擎直接测 SpyStatus.ruleEngine；统计类实例方法用不走构造函数、只带配置的实例来测
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { register } from 'node:module'
+
+const STUBS = {
+  'lib/plugins/plugin.js': 'export default class {}',
+  'lib/common/common.js': 'export default {}',
+  'lib/config/config.js': 'export default { getdefSet: () => ({}), getConfig: () => ({}) }',
+  'lib/puppeteer/puppeteer.js': 'export default {}',
+}
+const HOOKS = `
+const stubs = ${JSON.stringify(STUBS)}
+export async function resolve(specifier, context, next) {
+  const key = Object.keys(stubs).find((k) => specifier.endsWith('/' + k))
+  if (key) return { url: 'data:text/javascript,' + encodeURIComponent(stubs[key]), shortCircuit: true }
+  return next(specifier, context)
+}
+`
+register(`data:text/javascript,${encodeURIComponent(HOOKS)}`)
+
+const warnings = []
+globalThis.logger = { warn: (...args) => warnings.push(args.join(' ')), error() {}, mark() {}, info() {}, debug() {} }
+
+const { SpyStatus } = await import('../spy-status.js')
+const { compileRules, matchRule, applyRules, validateSpyStatusConfig } = SpyStatus.ruleEngine
+
+/** 不走 Yunzai 构造函数（不注册指令、不监听配置文件）的实例 */
+const makeSpy = (spyStatusCfg = {}) => Object.assign(Object.create(SpyStatus.prototype), { spyStatusCfg })
+/** 2026-10-12 10:00（Asia/Shanghai）起第 min 分钟的一条电脑事件（已是过去的时间，不会被截到当前时刻） */
+const T0 = Date.UTC(2026, 9, 12, 2)
+const pcEvent = (min, title, app = title) => ({ machine: 'pc', app, window_title: title, access_time: new Date(T0 + min * 60000).toISOString() })
+
+/** 手机上的一条事件：应用名 + 窗口标题 */
+const phone = (app, title = app) => ({ app, titles: [title], devices: ['phone', 'phone'] })
+const pc = (app, title = app) => ({ app, titles: [title], devices: ['pc', 'pc'] })
+
+test('同一动作以第一条命中的规则为准', () => {
+  const rules = compileRules([
+    { match: { app: 'QQ' }, action: { rename: '企鹅' } },
+    { match: { appContains: 'Q' }, action: { rename: '某Q', hide: true } },
+  ])
+  const effect = applyRules(rules, phone('QQ'))
+  assert.equal(effect.rename, '企鹅')
+  // 前一条没有 hide，由后一条决定
+  assert.equal(effect.hide, true)
+})
+
+test('写在前面的标题正则优先于后面的应用规则', () => {
+  const rules = compileRules([
+    { match: { titleRegex: '^范式' }, action: { text: '在推制霸' } },
+    { match: { appRegex: '^范式' }, action: { text: '在玩 {app}' } },
+  ])
+  assert.equal(applyRules(rules, phone('范式：起源', '范式：起源 - com.x')).text, '在推制霸')
+  // 标题不命中时落到应用规则，{app} 换成应用名
+  assert.equal(applyRules(rules, phone('范式：起源', 'com.x')).text, '在玩 范式：起源')
+})
+
+test('match 中的条件需同时满足，device 区分手机与电脑', () => {
+  const [rule] = compileRules([{ match: { app: 'QQ', titleContains: '群聊', device: 'phone' }, action: { hide: true } }])
+  assert.equal(matchRule(rule, phone('QQ', 'QQ 群聊')), true)
+  assert.equal(matchRule(rule, phone('QQ', 'QQ 私聊')), false)
+  assert.equal(matchRule(rule, pc('QQ', 'QQ 群聊')), false)
+})
+
+test('caption 收集所有命中规则并去重', () => {
+  const rules = compileRules([
+    { match: { app: 'Code' }, action: { caption: '在写代码' } },
+    { match: { appContains: 'Co' }, action: { caption: '在写代码' } },
+    { match: { device: 'pc' }, action: { caption: '在电脑前' } },
+  ])
+  assert.deepEqual(applyRules(rules, pc('Code')).captions, ['在写代码', '在电脑前'])
+})
+
+test('正则非法或缺少条件 / 动作的规则被丢弃并告警', () => {
+  warnings.length = 0
+  const rules = compileRules([
+    { match: { appRegex: '(' }, action: { hide: true } },
+    { match: {}, action: { hide: true } },
+    { match: { app: 'QQ' } },
+    { match: { app: 'QQ' }, action: { hide: true } },
+  ])
+  assert.equal(rules.length, 1)
+  assert.equal(warnings.length, 3)
+  assert.equal(applyRules(rules, phone('QQ')).hide, true)
+})
+
+test('validateSpyStatusConfig 报出规则、分类与网站中的非法正则', () => {
+  assert.deepEqual(validateSpyStatusConfig({
+    rules: [{ match: { appRegex: '^Q' }, action: { hide: true } }],
+    categories: [{ name: '游戏', appRegex: 'Steam|原神' }],
+    persons: [{ name: '雨核', rules: [{ match: { titleRegex: '范式' }, action: { caption: 'x' } }] }],
+  }), [])
+  const errors = validateSpyStatusConfig({
+    rules: [{ match: { appRegex: '(' }, action: { hide: true } }],
+    categories: [{ name: '游戏', appRegex: '[' }],
+    sites: [{ name: 'x', titleRegex: '*' }],
+    persons: [{ name: '雨核', rules: [{ match: { titleRegex: '(?<' }, action: { caption: 'x' } }] }],
+  })
+  assert.deepEqual(errors, [
+    'persons[0]（雨核）的 rules[0].match.titleRegex「(?<」不是有效的正则',
+    'rules[0].match.appRegex「(」不是有效的正则',
+    'categories[0].appRegex「[」不是有效的正则',
+    'sites[0].titleRegex「*」不是有效的正则',
+  ])
+})
+
+test('听歌记录按归并键切分会话，标题里夹了乱码也算同一次播放', () => {
+  const song = (min, title) => pcEvent(min, `🎶网易云音乐 - ${title}`, 'cloudmusic.exe')
+  const list = [song(0, '晴天 - 周杰伦'), song(1, '晴天 - 周杰伦'), song(2, '晴天 - 周杰\uFFFD伦'), song(3, '晴天 - 周杰\uFFFD伦')]
+  const { songs, totalSeconds } = makeSpy().getListeningHistory('雨核', list, T0, T0 + 3600000)
+  assert.equal(totalSeconds, 240)
+  assert.deepEqual(songs.map(({ song, seconds, plays }) => ({ song, seconds, plays })), [{ song: '晴天 - 周杰伦', seconds: 240, plays: 1 }])
+})
+
+test('睡眠推断取最长的无活动间隔；窗口开始后很久才有活动时视为之前就睡了', () => {
+  // 窗口：10-12 18:00 至 10-13 14:00（Asia/Shanghai）
+  const window = { startMs: T0 + 8 * 3600000, endMs: T0 + 28 * 3600000 }
+  const at = (hours) => pcEvent(hours * 60, 'Code', 'Code')
+  const spy = makeSpy()
+  const night = spy.inferSleep('雨核', [at(12), at(12.02), at(15), at(15.02), at(22), at(22.02)], window)
+  assert.deepEqual(night, { bedMs: T0 + 15.02 * 3600000 + 60000, wakeMs: T0 + 22 * 3600000, seconds: (6.98 * 3600000 - 60000) / 1000, bedBefore: false })
+  const asleep = spy.inferSleep('雨核', [at(23), at(23.02)], window)
+  assert.deepEqual(asleep, { bedMs: window.startMs, wakeMs: T0 + 23 * 3600000, seconds: 15 * 3600, bedBefore: true })
+  assert.equal(spy.inferSleep('雨核', [], window), null)
+})
+
+test('隐身时段格式在配置校验时报出，过滤事件时按此人时区跳过时段内的事件', () => {
+  const cfg = { persons: [{ name: '雨核', invisibleWindows: ['23:00-07:00', '晚上'] }] }
+  assert.deepEqual(validateSpyStatusConfig(cfg), ["persons[0]（雨核）的 invisibleWindows「晚上」格式不对，应为 HH:MM-HH:MM，如 '23:00-07:00'"])
+  warnings.length = 0
+  // T0 为 10:00，13 小时后为 23:00
+  const list = [12.5, 13, 16, 21].map((hours) => pcEvent(hours * 60, 'Code'))
+  const kept = makeSpy(cfg).dropInvisibleEvents('雨核', list)
+  assert.deepEqual(kept, [list[0], list[3]])
+  assert.equal(warnings.length, 0)
+})
+
+test('会话重建：切换应用结束于下一事件，断档或熄屏时按一个心跳收尾，重复上传只计一次', () => {
+  const spy = makeSpy({ heartbeatIntervalSeconds: 60, sessionGapSeconds: 300, rules: [{ match: { app: '锁屏' }, action: { hide: true, screenOff: true } }] })
+  const min = 60000
+  const list = [pcEvent(20, 'Code'), pcEvent(0, 'Code'), pcEvent(1, 'Code'), pcEvent(2, 'Chrome'), pcEvent(20, 'Code'), pcEvent(21, 'Code'), pcEvent(21.5, '锁屏'), pcEvent(40, 'Code')]
+  const sessions = spy.buildSessions(list, 'pc', '雨核').map(({ app, start, end, seconds }) => ({ app, start: (start - T0) / min, end: (end - T0) / min, seconds }))
+  assert.deepEqual(sessions, [
+    { app: 'Code', start: 0, end: 2, seconds: 120 },
+    { app: 'Chrome', start: 2, end: 3, seconds: 60 },
+    { app: 'Code', start: 20, end: 21.5, seconds: 90 },
+    { app: 'Code', start: 40, end: 41, seconds: 60 },
+  ])
+})
+
+test('统计范围按此人的时区与 dayStartHour 划分，跨夏令时的一天按实际时长算', () => {
+  const spy = makeSpy({ persons: [{ name: '音落', timezone: 'America/New_York', dayStartHour: 4 }] })
+  const iso = (ms) => new Date(ms).toISOString()
+  const span = (r) => [iso(r.startMs), iso(r.endMs)]
+  // 2026-10-14 周三 11:00（Asia/Shanghai）
+  const wed = Date.UTC(2026, 9, 14, 3)
+  const today = spy.parseReportRange('今天', '雨核', wed)
+  assert.deepEqual(span(today), ['2026-10-13T16:00:00.000Z', '2026-10-14T16:00:00.000Z'])
+  assert.equal(today.elapsedSeconds, 11 * 3600)
+  assert.deepEqual(span(spy.parseReportRange('本周', '雨核', wed)), ['2026-10-11T16:00:00.000Z', '2026-10-18T16:00:00.000Z'])
+  // 纽约 2026-11-01 凌晨结束夏令时：前一天（10-31 04:00 EDT 起）有 25 小时
+  const sun = Date.UTC(2026, 10, 1, 20)
+  assert.deepEqual(span(spy.parseReportRange('今天', '音落', sun)), ['2026-11-01T09:00:00.000Z', '2026-11-02T09:00:00.000Z'])
+  assert.deepEqual(span(spy.parseReportRange('昨天', '音落', sun)), ['2026-10-31T08:00:00.000Z', '2026-11-01T09:00:00.000Z'])
+  // 凌晨 2 点还没到 dayStartHour，仍算前一天
+  assert.equal(spy.parseReportRange('今天', '音落', Date.UTC(2026, 10, 2, 7)).startMs, Date.UTC(2026, 10, 1, 9))
+  const date = spy.parseReportRange('2026-3-5', '音落', sun)
+  assert.deepEqual([date.kind, date.date, ...span(date)], ['date', '2026-03-05', '2026-03-05T09:00:00.000Z', '2026-03-06T09:00:00.000Z'])
+  assert.equal(spy.parseReportRange('2026-02-30', '雨核', wed), null)
+})
+
+/** 当前状态拉取换成计数的假实现；replies 依次作为每次拉取的结果，Error 表示拉取失败 */
+const makeStatusSpy = (cfg, replies) => {
+  const spy = makeSpy({ ...cfg, persons: [{ name: cfg.name }] })
+  spy.calls = 0
+  spy.fetchStatusByName = async () => {
+    const reply = replies[Math.min(spy.calls++, replies.length - 1)]
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    if (reply instanceof Error) throw reply
+    return reply
+  }
+  return spy
+}
+
+test('状态缓存：并发请求合并为一次拉取，未过期时直接返回', async () => {
+  const spy = makeStatusSpy({ name: '缓存甲', cacheTtlSeconds: 60 }, [['v1'], ['v2']])
+  const [a, b] = await Promise.all([spy.getStatusCached('缓存甲'), spy.getStatusCached('缓存甲')])
+  assert.equal(spy.calls, 1)
+  assert.deepEqual([a.events, b.events], [['v1'], ['v1']])
+  assert.deepEqual((await spy.getStatusCached('缓存甲')).events, ['v1'])
+  assert.equal(spy.calls, 1)
+})
+
+test('状态缓存：过期后在 stale-while-revalidate 窗口内先返回旧数据并后台刷新', async () => {
+  const spy = makeStatusSpy({ name: '缓存乙', cacheTtlSeconds: 0, staleWhileRevalidateSeconds: 60 }, [['v1'], ['v2']])
+  await spy.getStatusCached('缓存乙')
+  assert.deepEqual((await spy.getStatusCached('缓存乙')).events, ['v1'])
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  assert.equal(spy.calls, 2)
+  assert.deepEqual((await spy.getStatusCached('缓存乙')).events, ['v2'])
+})
+
+test('状态缓存：拉取失败时退回上次成功的数据，从未成功过则抛出', async () => {
+  const spy = makeStatusSpy({ name: '缓存丙', cacheTtlSeconds: 0, staleWhileRevalidateSeconds: 0 }, [['v1'], new Error('boom')])
+  await spy.getStatusCached('缓存丙')
+  const result = await spy.getStatusCached('缓存丙')
+  assert.deepEqual([result.events, result.fallback], [['v1'], true])
+  const fresh = makeStatusSpy({ name: '缓存丁', cacheTtlSeconds: 0 }, [new Error('boom')])
+  await assert.rejects(fresh.getStatusCached('缓存丁'), /boom/)
+})
+
+test('数据源熔断：5xx 重试用尽记一次失败，连续失败达到阈值后不再请求上游，4xx 直接返回', async (t) => {
+  const spy = makeSpy({ retryCount: 1, retryBackoffMs: 0, circuitFailureThreshold: 2, circuitOpenSeconds: 60 })
+  let status = 502
+  let calls = 0
+  t.mock.method(globalThis, 'fetch', async () => {
+    calls++
+    return { status, ok: status < 400 }
+  })
+  status = 404
+  assert.equal((await spy.fetchFromSource('http://breaker.test/a', 'http://breaker.test')).status, 404)
+  status = 502
+  await assert.rejects(spy.fetchFromSource('http://breaker.test/a', 'http://breaker.test'), /HTTP 502/)
+  await assert.rejects(spy.fetchFromSource('http://breaker.test/a', 'http://breaker.test'), /HTTP 502/)
+  assert.equal(calls, 5)
+  await assert.rejects(spy.fetchFromSource('http://breaker.test/a', 'http://breaker.test'), /熔断中/)
+  assert.equal(calls, 5)
+})
+
+test('限额优先级：指令设置的 > 个人配置 > 全局（仅团队成员），无效项跳过并只告警一次', () => {
+  const bad = { app: 'QQ', minutes: 0 }
+  const spy = makeSpy({
+    teamNames: ['雨核'],
+    limitGroups: [1],
+    limits: [{ app: 'QQ', hours: 3 }, { category: '游戏', hours: 1 }],
+    persons: [{ name: '雨核', limits: [{ app: 'QQ', minutes: 90, groups: [2] }, bad] }, { name: '音落' }],
+  })
+  const stored = [{ name: '雨核', target: { category: '游戏' }, minutes: 30 }]
+  warnings.length = 0
+  const pick = (list) => list.map(({ key, minutes, groups }) => ({ key, minutes, groups }))
+  assert.deepEqual(pick(spy.getLimitsForName('雨核', stored)), [
+    { key: 'category:游戏', minutes: 30, groups: [1] },
+    { key: 'app:QQ', minutes: 90, groups: [2] },
+  ])
+  spy.getLimitsForName('雨核', stored)
+  assert.equal(warnings.length, 1)
+  // 全局限额只对 teamNames 成员生效
+  assert.deepEqual(spy.getLimitsForName('音落', stored), [])
+})
+
+test('导出数据：事件按时间排序并带本地时间与噪音标记，应用汇总与报告同口径', () => {
+  const spy = makeSpy({ heartbeatIntervalSeconds: 60, sessionGapSeconds: 300, rules: [{ match: { app: 'explorer' }, action: { hide: true } }] })
+  const list = [pcEvent(2, 'explorer'), pcEvent(0, 'Code'), pcEvent(1, 'Code')]
+  const { events, apps } = spy.buildExportData('雨核', list, T0, T0 + 3600000)
+  assert.deepEqual(events.map(({ app, local_time, noise, screen_off }) => ({ app, local_time, noise, screen_off })), [
+    { app: 'Code', local_time: '2026-10-12 10:00:00', noise: false, screen_off: false },
+    { app: 'Code', local_time: '2026-10-12 10:01:00', noise: false, screen_off: false },
+    { app: 'explorer', local_time: '2026-10-12 10:02:00', noise: true, screen_off: false },
+  ])
+  assert.deepEqual(apps.map(({ app, sessions, seconds }) => ({ app, sessions, seconds })), [{ app: 'Code', sessions: 1, seconds: 120 }])
+})